@@ -3,9 +3,11 @@
 const path = require("path");
 const fs = require("fs/promises");
 const { spawnSync } = require("child_process");
+const { applyHunks } = require("../src/utils/diff");
+const { detectLanguage } = require("../src/utils/languages");
 
-const repoRoot = path.resolve(__dirname, "..");
 const {
+  GROK_REPO_ROOT,
   GROK_CRON_ENDPOINT,
   GROK_DIRECTORY_ENDPOINT,
   GROK_TARGET_FILE,
@@ -15,8 +17,13 @@ const {
   GROK_GIT_REMOTE,
   GROK_GIT_BRANCH,
   GROK_GIT_WORKDIR,
+  GROK_CLIENT_API_KEY,
 } = process.env;
 
+const repoRoot = GROK_REPO_ROOT
+  ? path.resolve(GROK_REPO_ROOT)
+  : path.resolve(__dirname, "..");
+
 const parseCliArgs = (argv) => {
   const args = {};
 
@@ -218,7 +225,12 @@ const hasGitDiff = (targets) => {
 const callApi = async (url, body, fetchImpl) => {
   const response = await fetchImpl(url, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: {
+      "Content-Type": "application/json",
+      ...(GROK_CLIENT_API_KEY
+        ? { Authorization: `Bearer ${GROK_CLIENT_API_KEY}` }
+        : {}),
+    },
     body: JSON.stringify(body),
   });
 
@@ -242,21 +254,26 @@ const processSingleFile = async (fetchImpl) => {
     {
       code: sourceCode,
       instruction,
+      output: "diff",
+      language: detectLanguage(targetFilePath)?.id,
     },
     fetchImpl
   );
 
-  const updatedCode = payload?.data?.processedCode;
+  const hunks = payload?.data?.diff?.hunks;
 
-  if (typeof updatedCode !== "string" || updatedCode.trim().length === 0) {
-    throw new Error("API response does not include processed code content");
+  if (!Array.isArray(hunks)) {
+    throw new Error("API response does not include a diff");
   }
 
-  if (updatedCode === sourceCode) {
+  if (hunks.length === 0) {
     console.log("No changes detected in processed code. Skipping commit.");
     return;
   }
 
+  const currentCode = await fs.readFile(targetFilePath, "utf8");
+  const updatedCode = applyHunks(currentCode, hunks);
+
   await fs.writeFile(targetFilePath, updatedCode, "utf8");
 
   if (!hasGitDiff(targetFilePath)) {
@@ -282,14 +299,49 @@ const processSingleFile = async (fetchImpl) => {
   }
 
   runGit(pushArgs);
-  console.log(`Auto update completed for ${relativePathForGit}`);
+  console.log(`Auto update completed for ${gitRelativePath}`);
+};
+
+/**
+ * Resolve a file returned by the directory endpoint, or give the reason it
+ * must not be written. Only existing files under the requested directory
+ * with a supported extension can have been submitted, so anything else is a
+ * path the model made up and nothing is created for it.
+ */
+const checkReturnedFile = async (file, resolvedDirectory) => {
+  if (typeof file?.path !== "string" || typeof file.code !== "string") {
+    return { reason: "malformed" };
+  }
+
+  const returnedPath = file.path.replace(/\\/g, "/");
+
+  if (path.posix.isAbsolute(returnedPath) || path.win32.isAbsolute(returnedPath)) {
+    return { reason: "absolute" };
+  }
+  if (returnedPath.split("/").includes("..")) {
+    return { reason: "outside-project" };
+  }
+
+  const absolutePath = path.resolve(repoRoot, returnedPath);
+  if (!absolutePath.startsWith(`${resolvedDirectory}${path.sep}`)) {
+    return { reason: "outside-directory" };
+  }
+  if (!detectLanguage(absolutePath)) {
+    return { reason: "extension-mismatch" };
+  }
+
+  const stat = await fs.lstat(absolutePath).catch(() => null);
+  if (!stat || !stat.isFile()) {
+    return { reason: "not-submitted" };
+  }
+
+  return { absolutePath };
 };
 
-const ensureWritableFile = async (relativePath, content) => {
-  const absolutePath = resolvePathInRepo(relativePath);
-  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
-  await fs.writeFile(absolutePath, content, "utf8");
-  return absolutePath;
+const reportDiscarded = (source, discarded) => {
+  discarded.forEach(({ path: discardedPath, reason }) => {
+    console.warn(`Discarded ${discardedPath} from ${source} (${reason})`);
+  });
 };
 
 const processDirectory = async (fetchImpl) => {
@@ -319,15 +371,25 @@ const processDirectory = async (fetchImpl) => {
     `Applying updates for ${processedFiles.length} files under ${relativeDir}`
   );
 
+  reportDiscarded("the model response", payload.data.discardedBlocks || []);
+
   const writtenPaths = [];
+  const rejected = [];
   for (const file of processedFiles) {
-    if (!file?.path || typeof file.code !== "string") {
+    const { absolutePath, reason } = await checkReturnedFile(
+      file,
+      resolvedDirectory
+    );
+
+    if (reason) {
+      rejected.push({ path: String(file?.path), reason });
       continue;
     }
 
-    const absolutePath = await ensureWritableFile(file.path, file.code);
+    await fs.writeFile(absolutePath, file.code, "utf8");
     writtenPaths.push(absolutePath);
   }
+  reportDiscarded("the API response", rejected);
 
   const uniquePaths = [...new Set(writtenPaths.map((p) => path.resolve(p)))];
 
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+// Usage: node scripts/createApiKey.js <client-id> [requestsPerMinute] [maxConcurrentJobs] [--admin]
+//
+// Adds a client to the API key file (GROK_API_KEYS_FILE, default
+// .data/api-keys.json) and prints its key. --admin lets the key read every
+// client's usage. Only the key's hash is stored, so
+// the printed key cannot be recovered later.
+
+require("dotenv").config();
+
+const fs = require("fs");
+const { writeJsonAtomic } = require("../src/utils/dataStore");
+const {
+  generateApiKey,
+  hashApiKey,
+  resolveKeyFilePath,
+} = require("../src/utils/apiKeyStore");
+
+const readOptionalInteger = (value, name) => {
+  if (typeof value === "undefined") return undefined;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return parsed;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const admin = args.includes("--admin");
+  const [id, requestsPerMinute, maxConcurrentJobs] = args.filter(
+    (arg) => arg !== "--admin"
+  );
+
+  if (!id) {
+    throw new Error(
+      "Usage: node scripts/createApiKey.js <client-id> [requestsPerMinute] [maxConcurrentJobs] [--admin]"
+    );
+  }
+
+  const filePath = resolveKeyFilePath();
+  const entries = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, "utf8"))
+    : [];
+
+  if (entries.some((entry) => entry.id === id)) {
+    throw new Error(`A client with id "${id}" already exists in ${filePath}`);
+  }
+
+  const apiKey = generateApiKey();
+  entries.push({
+    id,
+    keyHash: hashApiKey(apiKey),
+    requestsPerMinute: readOptionalInteger(requestsPerMinute, "requestsPerMinute"),
+    maxConcurrentJobs: readOptionalInteger(maxConcurrentJobs, "maxConcurrentJobs"),
+    admin: admin || undefined,
+    createdAt: new Date().toISOString(),
+  });
+
+  await writeJsonAtomic(filePath, entries);
+
+  console.log(`Added ${admin ? "admin " : ""}client "${id}" to ${filePath}`);
+  console.log(`API key (shown once): ${apiKey}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
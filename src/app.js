@@ -2,22 +2,85 @@ const express = require('express');
 const cors = require('cors');
 const grokRoutes = require('./routes/grokRoutes');
 const errorHandler = require('./middleware/errorHandler');
+const { authenticate } = require('./middleware/authenticate');
+const rateLimit = require('./middleware/rateLimit');
+const requestId = require('./middleware/requestId');
+const { httpMetrics, recordBaseUrl } = require('./middleware/httpMetrics');
+const AppError = require('./utils/appError');
+const { getProviderHealth } = require('./services/grokService');
+const { registry } = require('./utils/metrics');
 
 const app = express();
 
+// Browser origins allowed by GROK_CORS_ORIGINS (comma separated, "*" for
+// any). Without it no CORS headers are sent, so only same-origin pages and
+// non-browser clients can call the API.
+const resolveCorsOrigin = () => {
+  const origins = (process.env.GROK_CORS_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  if (origins.includes('*')) return '*';
+  return origins.length > 0 ? origins : false;
+};
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(requestId);
+app.use(httpMetrics);
+app.use(
+  cors({
+    origin: resolveCorsOrigin(),
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: [
+      'Location',
+      'Retry-After',
+      'X-Request-Id',
+      'RateLimit-Policy',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+    ],
+  })
+);
+// Leave room above GROK_MAX_CODE_CHARS for JSON escaping and other fields
+app.use(express.json({ limit: process.env.GROK_MAX_BODY_SIZE || '1mb' }));
+
+// Health check endpoint. Reports "degraded" while any provider circuit is
+// open; the service itself is still up, so the status code stays 200.
+app.get('/health', (req, res) => {
+  const providers = getProviderHealth();
+  const degraded = Object.values(providers).some(
+    (breaker) => breaker.state !== 'closed'
+  );
+
+  res.status(200).json({
+    status: degraded ? 'degraded' : 'ok',
+    message: degraded
+      ? 'Service is running; some providers are failing fast'
+      : 'Service is running',
+    providers,
+  });
+});
+
+// Prometheus metrics. Like /health this needs no API key, so keep it off
+// the public network or behind the scraper's own network policy.
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+});
 
 // Routes
-app.use('/api/grok', grokRoutes);
+app.use('/api/grok', recordBaseUrl, authenticate, rateLimit, grokRoutes);
+
+// Unknown routes get the same problem+json response as every other error
+app.use((req, res, next) => {
+  next(
+    new AppError(`Cannot ${req.method} ${req.originalUrl}`, 'ROUTE_NOT_FOUND')
+  );
+});
 
 // Error handling middleware
 app.use(errorHandler);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Service is running' });
-});
-
 module.exports = app;
@@ -0,0 +1,142 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { writeJsonAtomic, readJson } = require("../utils/dataStore");
+const { logger } = require("../utils/logger");
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+const ENTRY_FILE_PATTERN = /^[0-9a-f]{64}\.json$/;
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const readDirectory = async (directory) => {
+  try {
+    return await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+      return [];
+    }
+    throw error;
+  }
+};
+
+const listEntryFiles = async (directory) => {
+  const entryFiles = [];
+  for (const shard of await readDirectory(directory)) {
+    const names = await readDirectory(path.join(directory, shard));
+    names
+      .filter((name) => ENTRY_FILE_PATTERN.test(name))
+      .forEach((name) => entryFiles.push(path.join(directory, shard, name)));
+  }
+  return entryFiles;
+};
+
+const statEntry = async (filePath) => {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete entries written more than `ttlMs` ago, judged by file mtime so no
+ * entry has to be read, then the oldest until at most `maxEntries` remain.
+ */
+const sweepEntries = async (directory, maxEntries, ttlMs) => {
+  const expiredBefore = Date.now() - ttlMs;
+  const live = [];
+  let removed = 0;
+
+  for (const filePath of await listEntryFiles(directory)) {
+    const stat = await statEntry(filePath);
+    if (!stat) continue;
+
+    if (stat.mtimeMs > expiredBefore) {
+      live.push({ filePath, writtenAt: stat.mtimeMs });
+      continue;
+    }
+    await fs.rm(filePath, { force: true });
+    removed += 1;
+  }
+
+  live.sort((a, b) => a.writtenAt - b.writtenAt);
+  const excess = live.slice(0, Math.max(0, live.length - maxEntries));
+  for (const { filePath } of excess) {
+    await fs.rm(filePath, { force: true });
+  }
+
+  return {
+    removed: removed + excess.length,
+    remaining: live.length - excess.length,
+  };
+};
+
+/**
+ * Cache persisted as one JSON file per key, so entries survive restarts and
+ * are shared by every process using the same data directory. Expired
+ * entries are removed when read, and at most once per `sweepIntervalMs` a
+ * write starts a background sweep that keeps the directory under
+ * `maxEntries`.
+ */
+const createDiskCache = ({
+  directory,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS,
+}) => {
+  let lastSweepAt = 0;
+  let runningSweep = null;
+
+  const entryPath = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error("Disk cache keys must be sha256 hex digests");
+    }
+    return path.join(directory, key.slice(0, 2), `${key}.json`);
+  };
+
+  // Resolves to { removed, remaining }; joins a sweep that is already running.
+  const sweep = (ttlMs) => {
+    if (!runningSweep) {
+      lastSweepAt = Date.now();
+      runningSweep = sweepEntries(directory, maxEntries, ttlMs).finally(() => {
+        runningSweep = null;
+      });
+    }
+    return runningSweep;
+  };
+
+  return {
+    name: "disk",
+    get: async (key) => {
+      const entry = await readJson(entryPath(key));
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(entryPath(key), { force: true });
+        return undefined;
+      }
+
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      await writeJsonAtomic(entryPath(key), {
+        expiresAt: Date.now() + ttlMs,
+        value,
+      });
+
+      if (Date.now() - lastSweepAt >= sweepIntervalMs) {
+        sweep(ttlMs).catch((error) => {
+          logger.warn("Disk cache sweep failed", { directory, error });
+        });
+      }
+    },
+    delete: async (key) => {
+      await fs.rm(entryPath(key), { force: true });
+    },
+    sweep,
+  };
+};
+
+module.exports = {
+  createDiskCache,
+};
@@ -0,0 +1,62 @@
+const AppError = require("../utils/appError");
+const { resolveDataPath } = require("../utils/dataStore");
+const { createMemoryCache } = require("./memoryCache");
+const { createDiskCache } = require("./diskCache");
+const { readLimit } = require("../utils/numbers");
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+let activeBackend;
+
+const createBackendFromEnv = () => {
+  const backendName = (process.env.GROK_CACHE_BACKEND || "memory").trim();
+
+  switch (backendName) {
+    case "memory":
+      return createMemoryCache({
+        maxEntries: readLimit("GROK_CACHE_MAX_ENTRIES"),
+      });
+    case "disk":
+      return createDiskCache({
+        directory: resolveDataPath("cache"),
+        maxEntries: readLimit("GROK_CACHE_MAX_ENTRIES"),
+      });
+    case "none":
+    case "off":
+      return null;
+    default:
+      throw new AppError(
+        `Unknown GROK_CACHE_BACKEND "${backendName}"`,
+        "CONFIGURATION_ERROR"
+      );
+  }
+};
+
+/**
+ * Backend selected by GROK_CACHE_BACKEND ("memory", "disk" or "none"),
+ * unless one was installed with setCacheBackend. Resolves to null when
+ * caching is disabled.
+ */
+const getCacheBackend = () => {
+  if (typeof activeBackend === "undefined") {
+    activeBackend = createBackendFromEnv();
+  }
+  return activeBackend;
+};
+
+/**
+ * Install a custom backend implementing async get(key), set(key, value,
+ * ttlMs) and delete(key). Pass undefined to go back to the env selection.
+ */
+const setCacheBackend = (backend) => {
+  activeBackend = backend;
+};
+
+const resolveCacheTtlMs = () =>
+  readLimit("GROK_CACHE_TTL_SECONDS", DEFAULT_TTL_SECONDS) * 1000;
+
+module.exports = {
+  getCacheBackend,
+  setCacheBackend,
+  resolveCacheTtlMs,
+};
@@ -0,0 +1,40 @@
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * In-process LRU cache. Map iteration order doubles as recency order:
+ * reads re-insert the entry, so the first key is always the least recent.
+ */
+const createMemoryCache = ({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+module.exports = {
+  createMemoryCache,
+};
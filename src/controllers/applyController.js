@@ -0,0 +1,55 @@
+const { applyChanges } = require('../services/applyService');
+const { getJob } = require('../services/jobService');
+const AppError = require('../utils/appError');
+const { clientIdOf } = require('../middleware/authenticate');
+
+// Inline files carry their own metadata; a job supplies its instruction and
+// the model it ran with.
+const resolveApplyRequest = async (body, clientId) => {
+  const { files, jobId, instruction, model } = body;
+
+  if (files) {
+    return { files, instruction, model };
+  }
+
+  const job = await getJob(jobId, clientId);
+
+  if (job.status !== 'completed') {
+    throw new AppError(
+      `Job is ${job.status}; only completed jobs can be applied`,
+      'JOB_NOT_COMPLETED'
+    );
+  }
+
+  return {
+    files: job.result.files.map(({ path, code }) => ({ path, code })),
+    baseHashes: new Map(job.files.map((file) => [file.path, file.sha256])),
+    instruction: job.request.instruction,
+    model: job.result.usage ? job.result.usage.model : job.request.model,
+    jobId,
+  };
+};
+
+const applyHandler = async (req, res, next) => {
+  try {
+    const clientId = clientIdOf(req);
+    const request = await resolveApplyRequest(req.body, clientId);
+    const result = await applyChanges({
+      ...request,
+      dryRun: req.body.dryRun,
+      force: req.body.force,
+      clientId,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  applyHandler,
+};
@@ -4,137 +4,176 @@ const {
   requestCodeModification,
   requestProjectModification,
 } = require('../services/grokService');
-const AppError = require('../utils/appError');
-
-const PROJECT_ROOT = path.resolve(__dirname, '../../');
-const SAMPLE_FILE_PATH = path.resolve(PROJECT_ROOT, 'sample-test.js');
-const IGNORED_DIRECTORIES = new Set([
-  'node_modules',
-  '.git',
-  'dist',
-  'build',
-  'coverage',
-  '.next',
-  '.turbo',
-]);
-
-const ensurePathWithinProject = (targetPath) => {
-  const normalizedPath = path.resolve(PROJECT_ROOT, targetPath || '');
-  const rootWithSeparator = PROJECT_ROOT.endsWith(path.sep)
-    ? PROJECT_ROOT
-    : `${PROJECT_ROOT}${path.sep}`;
-
-  const isSameDirectory = normalizedPath === PROJECT_ROOT;
-  const isChildPath = normalizedPath.startsWith(rootWithSeparator);
-
-  if (!isSameDirectory && !isChildPath) {
-    throw new AppError('Directory path must be inside the project root', 400);
+const { isDemoMode } = require('../schemas/grokSchemas');
+const { buildProblemDetails } = require('../utils/problemDetails');
+const { createUnifiedDiff } = require('../utils/diff');
+const { readDirectoryFiles } = require('../utils/projectFiles');
+
+const SAMPLE_FILE_PATH = path.resolve(__dirname, '../../sample-test.js');
+
+// The body has already been checked against the refactor schema; `code` can
+// only be missing in demo mode, where the bundled sample file is used.
+const resolveSingleFileRequest = async (body) => {
+  const {
+    code,
+    instruction,
+    model,
+    provider,
+    preset,
+    maxChangedLines,
+    cache,
+    output,
+    language,
+  } = body;
+
+  let sourceCode = code;
+  let effectiveFilePath = 'inline-request';
+
+  if (typeof sourceCode === 'undefined' && isDemoMode()) {
+    sourceCode = await fs.readFile(SAMPLE_FILE_PATH, 'utf8');
+    effectiveFilePath = 'sample-test.js';
   }
 
-  return normalizedPath;
+  return {
+    output,
+    sourceCode,
+    filePath: effectiveFilePath,
+    options: {
+      code: sourceCode,
+      instruction,
+      model,
+      provider,
+      filePath: effectiveFilePath,
+      language,
+      preset,
+      maxChangedLines,
+      cache,
+    },
+  };
 };
 
-const collectJsFiles = async (directoryPath) => {
-  const entries = await fs.readdir(directoryPath, { withFileTypes: true });
-  const files = [];
-  const allowedExtensions = new Set(['.js', '.ts', '.tsx']);
-
-  await Promise.all(
-    entries.map(async (entry) => {
-      if (entry.isSymbolicLink()) {
-        return;
-      }
-
-      const entryPath = path.join(directoryPath, entry.name);
-
-      if (entry.isDirectory()) {
-        if (IGNORED_DIRECTORIES.has(entry.name)) {
-          return;
-        }
-
-        const nestedFiles = await collectJsFiles(entryPath);
-        files.push(...nestedFiles);
-        return;
-      }
-
-      if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        if (allowedExtensions.has(ext)) {
-          files.push(entryPath);
-        }
-      }
-    })
-  );
-
-  return files;
+const buildSingleFileData = ({ output, sourceCode, filePath }, result) => {
+  const {
+    code: processedCode,
+    editBudget,
+    validation,
+    cache,
+    usage,
+    injectionWarnings,
+  } = result;
+  const data = { editBudget, validation, cache, usage, injectionWarnings };
+
+  if (output !== 'diff') {
+    data.processedCode = processedCode;
+  }
+
+  if (output !== 'code') {
+    data.diff = createUnifiedDiff(sourceCode, processedCode, {
+      oldLabel: filePath,
+    });
+  }
+
+  return data;
 };
 
 const refactorCodeHandler = async (req, res, next) => {
   try {
-    const { code, instruction, model } = req.body || {};
-
-    let sourceCode = code;
-    let effectiveFilePath = 'inline-request';
-
-    if (!sourceCode || typeof sourceCode !== 'string') {
-      sourceCode = await fs.readFile(SAMPLE_FILE_PATH, 'utf8');
-      effectiveFilePath = 'sample-test.js';
-    }
-
-    const processedCode = await requestCodeModification({
-      code: sourceCode,
-      instruction,
-      model,
-      filePath: effectiveFilePath,
-    });
+    const request = await resolveSingleFileRequest(req.body);
+    const result = await requestCodeModification(request.options);
 
     res.status(200).json({
       status: 'success',
-      data: {
-        processedCode,
-      },
+      data: buildSingleFileData(request, result),
     });
   } catch (error) {
     next(error);
   }
 };
 
-const refactorDirectoryHandler = async (req, res, next) => {
-  try {
-    const { directoryPath, instruction, model } = req.body || {};
+const writeSseEvent = (res, event, payload) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
 
-    if (!directoryPath || typeof directoryPath !== 'string') {
-      throw new AppError('directoryPath is required for batch refactoring', 400);
-    }
+// Same body as /refactor; streams "attempt" and "token" events, then a
+// final "result" (or "error") event once the code block is extracted.
+const streamRefactorCodeHandler = async (req, res, next) => {
+  let request;
 
-    const resolvedDirectory = ensurePathWithinProject(directoryPath);
-    const stat = await fs.stat(resolvedDirectory).catch(() => null);
+  try {
+    request = await resolveSingleFileRequest(req.body);
+  } catch (error) {
+    next(error);
+    return;
+  }
 
-    if (!stat || !stat.isDirectory()) {
-      throw new AppError('Provided directoryPath does not exist or is not a directory', 400);
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
     }
+  });
 
-    const jsFiles = await collectJsFiles(resolvedDirectory);
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
 
-    if (jsFiles.length === 0) {
-      throw new AppError('No JavaScript files found in the specified directory', 400);
-    }
+  try {
+    const result = await requestCodeModification({
+      ...request.options,
+      abortSignal: abortController.signal,
+      onEvent: (event, payload) => writeSseEvent(res, event, payload),
+    });
 
-    const fileEntries = await Promise.all(
-      jsFiles.map(async (absolutePath) => {
-        const code = await fs.readFile(absolutePath, 'utf8');
-        const relativePath = path.relative(PROJECT_ROOT, absolutePath);
-        return {
-          path: relativePath,
-          code,
-        };
-      })
-    );
+    writeSseEvent(res, 'result', {
+      status: 'success',
+      data: buildSingleFileData(request, result),
+    });
+  } catch (error) {
+    writeSseEvent(res, 'error', buildProblemDetails(error, req));
+  } finally {
+    res.end();
+  }
+};
 
-    const processedFiles = await requestProjectModification({
+const refactorDirectoryHandler = async (req, res, next) => {
+  try {
+    const {
+      directoryPath,
+      instruction,
+      model,
+      provider,
+      preset,
+      maxChangedLines,
+      maxBatchTokens,
+      responseFormat,
+      cache,
+      ...selection
+    } = req.body;
+
+    const { files: fileEntries, skippedFiles } = await readDirectoryFiles(
+      directoryPath,
+      selection
+    );
+    const {
+      files: processedFiles,
+      discardedBlocks,
+      injectionWarnings,
+      responseFormat: usedResponseFormat,
+      cache: cacheResult,
+      usage,
+    } = await requestProjectModification({
       files: fileEntries,
       instruction,
       model,
+      provider,
+      preset,
+      maxChangedLines,
+      maxBatchTokens,
+      responseFormat,
+      cache,
     });
 
     res.status(200).json({
@@ -142,6 +181,12 @@ const refactorDirectoryHandler = async (req, res, next) => {
       data: {
         files: processedFiles,
         fileCount: processedFiles.length,
+        skippedFiles,
+        discardedBlocks,
+        injectionWarnings,
+        responseFormat: usedResponseFormat,
+        cache: cacheResult,
+        usage,
       },
     });
   } catch (error) {
@@ -151,5 +196,6 @@ const refactorDirectoryHandler = async (req, res, next) => {
 
 module.exports = {
   refactorCodeHandler,
+  streamRefactorCodeHandler,
   refactorDirectoryHandler,
 };
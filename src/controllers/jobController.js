@@ -0,0 +1,88 @@
+const { createJob, getJob, cancelJob } = require('../services/jobService');
+const { readDirectoryFiles } = require('../utils/projectFiles');
+const { clientIdOf } = require('../middleware/authenticate');
+
+const createJobHandler = async (req, res, next) => {
+  try {
+    const {
+      directoryPath,
+      instruction,
+      model,
+      provider,
+      preset,
+      maxChangedLines,
+      maxBatchTokens,
+      responseFormat,
+      cache,
+      ...selection
+    } = req.body;
+
+    const { files: fileEntries, skippedFiles } = await readDirectoryFiles(
+      directoryPath,
+      selection
+    );
+    const job = await createJob({
+      directoryPath,
+      instruction,
+      model,
+      provider,
+      preset,
+      maxChangedLines,
+      maxBatchTokens,
+      responseFormat,
+      cache,
+      selection,
+      files: fileEntries,
+      skippedFiles,
+      client: req.apiClient,
+    });
+
+    res
+      .status(202)
+      .location(`${req.baseUrl}/jobs/${job.id}`)
+      .json({
+        status: 'success',
+        data: {
+          job,
+        },
+      });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getJobHandler = async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id, clientIdOf(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelJobHandler = async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.id, clientIdOf(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createJobHandler,
+  getJobHandler,
+  cancelJobHandler,
+};
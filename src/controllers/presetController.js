@@ -0,0 +1,14 @@
+const { listPresets } = require('../presets');
+
+const listPresetsHandler = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      presets: listPresets(),
+    },
+  });
+};
+
+module.exports = {
+  listPresetsHandler,
+};
@@ -0,0 +1,58 @@
+const { listSnapshots, getSnapshot } = require('../services/snapshotService');
+const { rollbackSnapshot } = require('../services/applyService');
+const { clientIdOf } = require('../middleware/authenticate');
+
+const listSnapshotsHandler = async (req, res, next) => {
+  try {
+    const snapshots = await listSnapshots(clientIdOf(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        snapshots,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSnapshotHandler = async (req, res, next) => {
+  try {
+    const snapshot = await getSnapshot(req.params.id, clientIdOf(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        snapshot,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rollbackSnapshotHandler = async (req, res, next) => {
+  try {
+    const { path, force } = req.body;
+    const result = await rollbackSnapshot({
+      id: req.params.id,
+      path,
+      force,
+      clientId: clientIdOf(req),
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listSnapshotsHandler,
+  getSnapshotHandler,
+  rollbackSnapshotHandler,
+};
@@ -0,0 +1,28 @@
+const { summarizeUsage } = require('../services/usageLedger');
+
+// Clients see their own usage; admin keys, and every caller when
+// GROK_AUTH=disabled, see all of it.
+const usageScopeOf = (req) =>
+  req.apiClient && !req.apiClient.admin ? req.apiClient.id : undefined;
+
+const getUsageHandler = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const report = await summarizeUsage({
+      from,
+      to,
+      clientId: usageScopeOf(req),
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsageHandler,
+};
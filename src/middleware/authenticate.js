@@ -0,0 +1,56 @@
+const AppError = require('../utils/appError');
+const { findClientByKey } = require('../utils/apiKeyStore');
+const { runWithLogContext } = require('../utils/logger');
+
+const isAuthDisabled = () => process.env.GROK_AUTH === 'disabled';
+
+// Accept "Authorization: Bearer <key>" or "X-API-Key: <key>".
+const readPresentedKey = (req) => {
+  const authorization = req.get('Authorization');
+  const bearer = authorization && authorization.match(/^Bearer\s+(\S+)\s*$/i);
+  return bearer ? bearer[1] : req.get('X-API-Key');
+};
+
+/**
+ * Id of the client authenticated for this request, or undefined when
+ * GROK_AUTH=disabled.
+ */
+const clientIdOf = (req) => (req.apiClient ? req.apiClient.id : undefined);
+
+/**
+ * Require a client API key from the key file and expose the matching client
+ * ({ id, requestsPerMinute, maxConcurrentJobs, admin }) as req.apiClient and
+ * as clientId in the log context. Skipped entirely when GROK_AUTH=disabled.
+ */
+const authenticate = (req, res, next) => {
+  if (isAuthDisabled()) {
+    next();
+    return;
+  }
+
+  let client;
+
+  try {
+    const apiKey = readPresentedKey(req);
+    client = apiKey ? findClientByKey(apiKey) : undefined;
+
+    if (!client) {
+      res.set('WWW-Authenticate', 'Bearer');
+      throw new AppError(
+        apiKey ? 'The API key is not valid' : 'An API key is required',
+        'UNAUTHORIZED'
+      );
+    }
+  } catch (error) {
+    next(error);
+    return;
+  }
+
+  req.apiClient = client;
+  runWithLogContext({ clientId: client.id }, () => next());
+};
+
+module.exports = {
+  authenticate,
+  clientIdOf,
+};
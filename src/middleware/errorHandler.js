@@ -1,65 +1,33 @@
-const AppError = require('../utils/appError');
+const { buildProblemDetails } = require('../utils/problemDetails');
+const { logger } = require('../utils/logger');
 
-const handleCastErrorDB = (err) => {
-  const message = `Invalid ${err.path}: ${err.value}`;
-  return new AppError(message, 400);
-};
-
-const handleDuplicateFieldsDB = (err) => {
-  const value = err.errmsg.match(/(["'])(\\?.)*?\1/)[0];
-  const message = `Duplicate field value: ${value}. Please use another value!`;
-  return new AppError(message, 400);
-};
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
 
-const handleValidationErrorDB = (err) => {
-  const errors = Object.values(err.errors).map((el) => el.message);
-  const message = `Invalid input data. ${errors.join('. ')}`;
-  return new AppError(message, 400);
-};
+module.exports = (err, req, res, next) => {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
 
-const sendErrorDev = (err, res) => {
-  res.status(err.statusCode).json({
-    status: err.status,
-    error: err,
-    message: err.message,
-    stack: err.stack,
-  });
-};
+  const problem = buildProblemDetails(err, req);
 
-const sendErrorProd = (err, res) => {
-  // Operational, trusted error: send message to client
-  if (err.isOperational) {
-    res.status(err.statusCode).json({
-      status: err.status,
-      message: err.message,
-    });
+  if (problem.code === 'INTERNAL_ERROR') {
+    logger.error('Unhandled error', { error: err });
   } else {
-    // 1) Log error
-    console.error('ERROR 💥', err);
-
-    // 2) Send generic message
-    res.status(500).json({
-      status: 'error',
-      message: 'Something went very wrong!',
+    logger.warn('Request failed', {
+      status: problem.status,
+      errorCode: problem.code,
+      detail: problem.detail,
     });
   }
-};
-
-module.exports = (err, req, res, next) => {
-  err.statusCode = err.statusCode || 500;
-  err.status = err.status || 'error';
 
-  if (process.env.NODE_ENV === 'development') {
-    sendErrorDev(err, res);
-  } else if (process.env.NODE_ENV === 'production') {
-    let error = { ...err };
-    error.message = err.message;
-
-    if (error.name === 'CastError') error = handleCastErrorDB(error);
-    if (error.code === 11000) error = handleDuplicateFieldsDB(error);
-    if (error.name === 'ValidationError')
-      error = handleValidationErrorDB(error);
-
-    sendErrorProd(error, res);
+  if (problem.retryAfterSeconds !== undefined) {
+    res.set('Retry-After', String(problem.retryAfterSeconds));
   }
+
+  res
+    .status(problem.status)
+    .set('X-Request-Id', problem.requestId)
+    .type(PROBLEM_CONTENT_TYPE)
+    .send(JSON.stringify(problem));
 };
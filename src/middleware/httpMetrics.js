@@ -0,0 +1,39 @@
+const { httpRequests, httpRequestDuration } = require('../utils/metrics');
+
+/**
+ * Count and time every request. Routes are labelled by their pattern
+ * (/api/grok/jobs/:id) rather than the raw URL so ids do not multiply the
+ * series; requests no route matched share the "unmatched" label.
+ */
+const httpMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route
+        ? `${req.metricsBaseUrl || ''}${req.route.path}`
+        : 'unmatched',
+      status: res.statusCode,
+    };
+
+    httpRequests.inc(labels);
+    stopTimer(labels);
+  });
+
+  next();
+};
+
+/**
+ * Remember the mount path of a router for the route label, since Express
+ * resets req.baseUrl once the router is done.
+ */
+const recordBaseUrl = (req, res, next) => {
+  req.metricsBaseUrl = req.baseUrl;
+  next();
+};
+
+module.exports = {
+  httpMetrics,
+  recordBaseUrl,
+};
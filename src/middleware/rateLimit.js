@@ -0,0 +1,55 @@
+const AppError = require('../utils/appError');
+
+const WINDOW_MS = 60 * 1000;
+
+// clientId -> { startedAt, count } for the current one-minute window
+const windows = new Map();
+
+/**
+ * Per-client fixed-window limit of requestsPerMinute. Every response carries
+ * the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers;
+ * requests over the limit get a 429 with Retry-After.
+ */
+const rateLimit = (req, res, next) => {
+  const client = req.apiClient;
+
+  if (!client) {
+    next();
+    return;
+  }
+
+  const now = Date.now();
+  let window = windows.get(client.id);
+
+  if (!window || now - window.startedAt >= WINDOW_MS) {
+    window = { startedAt: now, count: 0 };
+    windows.set(client.id, window);
+  }
+
+  window.count += 1;
+
+  const limit = client.requestsPerMinute;
+  const resetSeconds = Math.ceil((window.startedAt + WINDOW_MS - now) / 1000);
+
+  res.set({
+    'RateLimit-Policy': `${limit};w=${WINDOW_MS / 1000}`,
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+
+  if (window.count > limit) {
+    next(
+      new AppError(
+        `Rate limit of ${limit} requests per minute exceeded`,
+        'RATE_LIMITED',
+        { retryAfterSeconds: resetSeconds }
+      )
+    );
+    return;
+  }
+
+  next();
+};
+
+module.exports = rateLimit;
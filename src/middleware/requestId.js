@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { logger, runWithLogContext } = require('../utils/logger');
+const { clientIdOf } = require('./authenticate');
+
+const INCOMING_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Reuse a well-formed incoming X-Request-Id or mint one, echo it on the
+ * response and run the rest of the request in a log context carrying it.
+ * Logs one line per finished request.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id =
+    incoming && INCOMING_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  runWithLogContext({ requestId: req.id }, () => {
+    res.on('finish', () => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        clientId: clientIdOf(req),
+      });
+    });
+
+    next();
+  });
+};
+
+module.exports = requestId;
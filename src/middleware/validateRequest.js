@@ -0,0 +1,61 @@
+const AppError = require('../utils/appError');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Validate the request against zod schemas keyed by location ("params",
+ * "query", "body"). Parsed values (with defaults applied) replace the raw input; any
+ * failures are reported together as field-level `errors` on a
+ * VALIDATION_FAILED problem.
+ */
+const validateRequest = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  LOCATIONS.forEach((location) => {
+    if (!schemas[location]) return;
+
+    const result = schemas[location].safeParse(
+      location === 'body' ? req.body || {} : req[location]
+    );
+
+    if (result.success) {
+      // Express 5 exposes req.query through a getter, so shadow it instead
+      // of assigning.
+      Object.defineProperty(req, location, {
+        value: result.data,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+      return;
+    }
+
+    result.error.issues.forEach((issue) => {
+      const keys = issue.code === 'unrecognized_keys' ? issue.keys : [null];
+
+      keys.forEach((key) => {
+        const field = [...issue.path, ...(key ? [key] : [])].join('.');
+        errors.push({
+          location,
+          field,
+          message: key ? `${field} is not a recognised field` : issue.message,
+        });
+      });
+    });
+  });
+
+  if (errors.length > 0) {
+    next(
+      new AppError(
+        errors.map(({ message }) => message).join('; '),
+        'VALIDATION_FAILED',
+        { errors }
+      )
+    );
+    return;
+  }
+
+  next();
+};
+
+module.exports = validateRequest;
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const AppError = require("../utils/appError");
+
+const TEMPLATES_DIR = path.join(__dirname, "templates");
+const FRONT_MATTER_REGEX = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
+
+const readNumber = (value, { integer, min, max }) => {
+  const parsed = Number(value);
+  const valid =
+    value !== "" &&
+    Number.isFinite(parsed) &&
+    (!integer || Number.isInteger(parsed)) &&
+    parsed >= min &&
+    parsed <= max;
+  return valid ? parsed : undefined;
+};
+
+/**
+ * Parse a preset template: `key: value` front matter (description,
+ * temperature, maxChangedLines) followed by the system text that replaces
+ * the default goal in the prompt. Invalid templates throw so a broken
+ * preset fails at startup rather than mid-request.
+ */
+const parseTemplate = (name, content) => {
+  const match = content.replace(/\r\n/g, "\n").match(FRONT_MATTER_REGEX);
+
+  if (!match) {
+    throw new Error(`Preset ${name} must start with a --- front matter block`);
+  }
+
+  const fields = Object.fromEntries(
+    match[1]
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => {
+        const separator = line.indexOf(":");
+        return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+      })
+  );
+  const system = match[2].trim();
+  const temperature = readNumber(fields.temperature, { min: 0, max: 2 });
+  const maxChangedLines = readNumber(fields.maxChangedLines, {
+    integer: true,
+    min: 1,
+    max: Infinity,
+  });
+
+  if (!fields.description || !system) {
+    throw new Error(`Preset ${name} needs a description and system text`);
+  }
+  if ("temperature" in fields && typeof temperature === "undefined") {
+    throw new Error(`Preset ${name} temperature must be a number from 0 to 2`);
+  }
+  if ("maxChangedLines" in fields && typeof maxChangedLines === "undefined") {
+    throw new Error(`Preset ${name} maxChangedLines must be a positive integer`);
+  }
+
+  return {
+    name,
+    description: fields.description,
+    temperature: temperature ?? null,
+    maxChangedLines: maxChangedLines ?? null,
+    system,
+  };
+};
+
+const PRESETS = new Map(
+  fs
+    .readdirSync(TEMPLATES_DIR)
+    .filter((fileName) => fileName.endsWith(".md"))
+    .sort()
+    .map((fileName) => {
+      const name = path.basename(fileName, ".md");
+      const content = fs.readFileSync(path.join(TEMPLATES_DIR, fileName), "utf8");
+      return [name, parseTemplate(name, content)];
+    })
+);
+
+const listPresetNames = () => [...PRESETS.keys()];
+
+const listPresets = () => [...PRESETS.values()];
+
+/**
+ * The preset with the given name, or null when none was asked for.
+ */
+const resolvePreset = (name) => {
+  if (!name) {
+    return null;
+  }
+
+  const preset = PRESETS.get(name);
+
+  if (!preset) {
+    throw new AppError(
+      `Unknown preset "${name}". Available presets: ${listPresetNames().join(", ")}`,
+      "INVALID_REQUEST"
+    );
+  }
+
+  return preset;
+};
+
+module.exports = {
+  listPresetNames,
+  listPresets,
+  resolvePreset,
+};
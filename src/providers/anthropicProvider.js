@@ -0,0 +1,26 @@
+const { readEnv } = require("./env");
+
+const DEFAULT_MODEL = "claude-sonnet-4-5";
+
+// Anthropic Messages API, or any self-hosted gateway exposing the same shape.
+module.exports = {
+  name: "anthropic",
+  apiKeyEnv: "ANTHROPIC_API_KEY",
+  apiKeyRequired: true,
+  resolveSettings: () => ({
+    apiKey: readEnv("ANTHROPIC_API_KEY"),
+    baseURL: readEnv("ANTHROPIC_BASE_URL"),
+    defaultModel: readEnv("ANTHROPIC_MODEL") || DEFAULT_MODEL,
+    proxyUrl: readEnv("ANTHROPIC_PROXY_URL"),
+    structuredOutput: true,
+  }),
+  createModelFactory: async ({ apiKey, baseURL, fetch }) => {
+    const { createAnthropic } = await import("@ai-sdk/anthropic");
+    const anthropic = createAnthropic({
+      apiKey,
+      fetch,
+      ...(baseURL ? { baseURL } : {}),
+    });
+    return (modelId) => anthropic(modelId);
+  },
+};
@@ -0,0 +1,10 @@
+const readEnv = (name) => {
+  const value = process.env[name];
+  return typeof value === "string" && value.trim().length > 0
+    ? value.trim()
+    : undefined;
+};
+
+module.exports = {
+  readEnv,
+};
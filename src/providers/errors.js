@@ -0,0 +1,148 @@
+const AppError = require("../utils/appError");
+const { parseRetryAfter } = require("../utils/retry");
+
+const CONTEXT_TOO_LONG_PATTERN =
+  /context[_ ]length|context window|maximum (?:prompt|context) length|prompt is too long|too many (?:input )?tokens|reduce the length/i;
+
+const STRUCTURED_OUTPUT_PATTERN =
+  /response_format|json_schema|structured output|json mode/i;
+
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+/**
+ * Rate limits, timeouts, upstream 5xx responses and dropped connections are
+ * worth retrying; anything else (bad key, bad request, aborts) is not.
+ */
+const isTransientProviderError = (error) => {
+  if (!error || error.name === "AbortError") return false;
+
+  if (typeof error.statusCode === "number") {
+    return (
+      error.statusCode === 408 ||
+      error.statusCode === 429 ||
+      error.statusCode >= 500
+    );
+  }
+
+  const cause = error.cause || {};
+  return (
+    error.isRetryable === true ||
+    NETWORK_ERROR_CODES.has(error.code) ||
+    NETWORK_ERROR_CODES.has(cause.code)
+  );
+};
+
+/**
+ * Whether the provider or model turned down schema-constrained output: the
+ * SDK reports it as unsupported, or the API rejects the request over
+ * response_format or json_schema.
+ */
+const isStructuredOutputUnsupported = (error) => {
+  if (!error) return false;
+  if (error.name === "AI_UnsupportedFunctionalityError") return true;
+
+  return (
+    (error.statusCode === 400 || error.statusCode === 422) &&
+    (STRUCTURED_OUTPUT_PATTERN.test(error.message || "") ||
+      STRUCTURED_OUTPUT_PATTERN.test(error.responseBody || ""))
+  );
+};
+
+const withRetryAfter = (appError, headers) => {
+  const retryAfterMs = parseRetryAfter(headers);
+  if (typeof retryAfterMs !== "undefined") {
+    appError.extensions.retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+  }
+  return appError;
+};
+
+/**
+ * Translate a failed provider call into an AppError whose `code` tells
+ * clients what went wrong: PROVIDER_AUTH_FAILED, PROVIDER_RATE_LIMITED,
+ * CONTEXT_TOO_LONG, PROVIDER_TIMEOUT, PROVIDER_UNAVAILABLE or PROVIDER_ERROR.
+ * AppErrors (validation, circuit breaker, timeouts) pass through unchanged.
+ */
+const classifyProviderError = (error, providerName) => {
+  if (error instanceof AppError) return error;
+
+  const statusCode = error && error.statusCode;
+  const message = (error && error.message) || "";
+  const responseBody = (error && error.responseBody) || "";
+  const cause = (error && error.cause) || {};
+
+  if (statusCode === 401 || statusCode === 403) {
+    return new AppError(
+      `The ${providerName} provider rejected the configured API key`,
+      "PROVIDER_AUTH_FAILED"
+    );
+  }
+
+  if (statusCode === 429) {
+    return withRetryAfter(
+      new AppError(
+        `The ${providerName} provider is rate limiting requests`,
+        "PROVIDER_RATE_LIMITED"
+      ),
+      error.responseHeaders
+    );
+  }
+
+  if (
+    statusCode === 413 ||
+    CONTEXT_TOO_LONG_PATTERN.test(message) ||
+    CONTEXT_TOO_LONG_PATTERN.test(responseBody)
+  ) {
+    return new AppError(
+      "The request is too long for the model's context window; send less code or lower maxBatchTokens",
+      "CONTEXT_TOO_LONG"
+    );
+  }
+
+  if (
+    statusCode === 408 ||
+    statusCode === 504 ||
+    (error && error.name === "TimeoutError") ||
+    error.code === "ETIMEDOUT" ||
+    cause.code === "ETIMEDOUT"
+  ) {
+    return new AppError(
+      `The ${providerName} provider timed out`,
+      "PROVIDER_TIMEOUT"
+    );
+  }
+
+  if (
+    (typeof statusCode === "number" && statusCode >= 500) ||
+    NETWORK_ERROR_CODES.has(error.code) ||
+    NETWORK_ERROR_CODES.has(cause.code) ||
+    (typeof statusCode === "undefined" && error.isRetryable === true)
+  ) {
+    return withRetryAfter(
+      new AppError(
+        `The ${providerName} provider is unavailable`,
+        "PROVIDER_UNAVAILABLE"
+      ),
+      error.responseHeaders
+    );
+  }
+
+  return new AppError(
+    `The ${providerName} provider rejected the request`,
+    "PROVIDER_ERROR"
+  );
+};
+
+module.exports = {
+  classifyProviderError,
+  isTransientProviderError,
+  isStructuredOutputUnsupported,
+};
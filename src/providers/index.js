@@ -0,0 +1,92 @@
+const AppError = require("../utils/appError");
+const { readEnv } = require("./env");
+const xaiProvider = require("./xaiProvider");
+const openaiCompatibleProvider = require("./openaiCompatibleProvider");
+const anthropicProvider = require("./anthropicProvider");
+const mockProvider = require("./mockProvider");
+
+const DEFAULT_PROVIDER = "xai";
+const PROXY_OFF_SIGNALS = new Set(["none", "off", "disable", "direct"]);
+
+const REMOTE_PROVIDERS = [
+  xaiProvider,
+  openaiCompatibleProvider,
+  anthropicProvider,
+];
+
+// The mock answers with canned output, so it is only available when it is
+// the configured provider or GROK_ENABLE_MOCK=true.
+const isMockEnabled = () =>
+  readEnv("LLM_PROVIDER") === mockProvider.name ||
+  readEnv("GROK_ENABLE_MOCK") === "true";
+
+const registeredProviders = () =>
+  new Map(
+    [...REMOTE_PROVIDERS, ...(isMockEnabled() ? [mockProvider] : [])].map(
+      (provider) => [provider.name, provider]
+    )
+  );
+
+const listProviders = () => [...registeredProviders().keys()];
+
+/**
+ * Default model of every provider that has one configured.
+ */
+const listDefaultModels = () =>
+  [...registeredProviders().values()]
+    .map((provider) => provider.resolveSettings().defaultModel)
+    .filter(Boolean);
+
+/**
+ * Pick the provider named in the request, falling back to LLM_PROVIDER and
+ * then xAI.
+ */
+const resolveProvider = (name) => {
+  const selected = name || readEnv("LLM_PROVIDER") || DEFAULT_PROVIDER;
+  const provider = registeredProviders().get(selected);
+
+  if (!provider) {
+    throw new AppError(
+      `Unknown provider "${selected}". Available providers: ${listProviders().join(", ")}`,
+      "INVALID_REQUEST"
+    );
+  }
+
+  return provider;
+};
+
+/**
+ * Read a provider's settings from the environment, failing when a required
+ * credential or endpoint is missing.
+ */
+const resolveProviderSettings = (provider) => {
+  const settings = provider.resolveSettings();
+
+  if (provider.apiKeyRequired && !settings.apiKey) {
+    throw new AppError(
+      `${provider.apiKeyEnv} is not set in environment variables`,
+      "CONFIGURATION_ERROR"
+    );
+  }
+
+  if (provider.baseURLEnv && !settings.baseURL) {
+    throw new AppError(
+      `${provider.baseURLEnv} is not set in environment variables`,
+      "CONFIGURATION_ERROR"
+    );
+  }
+
+  const proxyUrl =
+    settings.proxyUrl && !PROXY_OFF_SIGNALS.has(settings.proxyUrl.toLowerCase())
+      ? settings.proxyUrl
+      : undefined;
+
+  return { ...settings, proxyUrl };
+};
+
+module.exports = {
+  listProviders,
+  listDefaultModels,
+  resolveProvider,
+  resolveProviderSettings,
+};
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const { setTimeout: delay } = require("timers/promises");
+const { readEnv } = require("./env");
+
+const MOCK_NOTE = "Refactored by the mock provider";
+// Marker comment per fence language; JSON has no comments, so JSON files are
+// echoed unchanged.
+const MARKERS = {
+  python: `# ${MOCK_NOTE}`,
+  markdown: `<!-- ${MOCK_NOTE} -->`,
+  json: null,
+};
+const FILE_BLOCK_REGEX =
+  /^FILE (\S+): ([^\n]+)\n(`{3,})([^\n`]*)\n([\s\S]*?)\n\3[ \t]*\nEND FILE \1$/gm;
+const ORIGINAL_CODE_REGEX =
+  /Original code:\n(`{3,})([^\n`]*)\n([\s\S]*)\n\1[ \t]*$/;
+
+// Scripted steps are consumed in order before the rule-based fallback.
+let scriptedSteps;
+// Only the latest calls are kept, so a dev server on the mock stays bounded.
+const MAX_RECORDED_CALLS = 100;
+const recordedCalls = [];
+
+const loadScriptFromEnv = () => {
+  const scriptPath = readEnv("MOCK_LLM_SCRIPT");
+  if (!scriptPath) return [];
+  return JSON.parse(fs.readFileSync(scriptPath, "utf8"));
+};
+
+const nextScriptedStep = () => {
+  if (!scriptedSteps) {
+    scriptedSteps = loadScriptFromEnv();
+  }
+  return scriptedSteps.shift();
+};
+
+/**
+ * Queue scripted responses, replacing any pending ones. Each step is either
+ * { text } for a literal completion (or a function building it from the
+ * prompt text, e.g. to echo the batch boundary) or { error: { statusCode, message,
+ * headers?, retryable?, responseBody? } } for a failed provider call, plus an
+ * optional `delayMs` to wait (abortably) before answering. A step with only
+ * `delayMs` delays the rule-based answer.
+ */
+const scriptResponses = (steps) => {
+  scriptedSteps = [...steps];
+};
+
+const resetMockProvider = () => {
+  scriptedSteps = undefined;
+  recordedCalls.length = 0;
+};
+
+// The last MAX_RECORDED_CALLS calls, oldest first
+const getMockCalls = () => [...recordedCalls];
+
+const promptToText = (prompt) =>
+  prompt
+    .flatMap((message) =>
+      typeof message.content === "string"
+        ? [message.content]
+        : message.content
+            .filter((part) => part.type === "text")
+            .map((part) => part.text)
+    )
+    .join("\n");
+
+const markCode = (code, fenceLanguage) => {
+  const marker =
+    fenceLanguage in MARKERS ? MARKERS[fenceLanguage] : `// ${MOCK_NOTE}`;
+  return marker === null ? code : `${marker}\n${code}`;
+};
+
+const fenceBlock = (fence, fenceLanguage, code) =>
+  [`${fence}${fenceLanguage}`, markCode(code, fenceLanguage), fence].join("\n");
+
+// Structured batch answer: files without a marker (JSON) are reported as
+// unchanged.
+const buildJsonBatchResponse = (fileBlocks) =>
+  JSON.stringify({
+    files: fileBlocks.map(([, , filePath, , fenceLanguage, code]) => {
+      const changed = markCode(code, fenceLanguage) !== code;
+      return {
+        path: filePath.trim(),
+        code: changed ? markCode(code, fenceLanguage) : "",
+        summary: changed ? `Added a "${MOCK_NOTE}" comment` : "",
+        changed,
+      };
+    }),
+  });
+
+// Rule-based answer: echo every submitted file back with a marker comment in
+// its own language, in the single-file, boundary-marked batch or JSON batch
+// format depending on the prompt and the requested response format.
+const buildRuleBasedResponse = (promptText, responseFormat) => {
+  const fileList = promptText.match(/^File count: \d+\n---\n([\s\S]*)$/m);
+
+  // Only the supplied files are echoed, not the example in the format rules.
+  if (fileList) {
+    const fileBlocks = [...fileList[1].matchAll(FILE_BLOCK_REGEX)];
+
+    if (responseFormat && responseFormat.type === "json") {
+      return buildJsonBatchResponse(fileBlocks);
+    }
+
+    return fileBlocks
+      .map(([, boundary, filePath, fence, fenceLanguage, code]) =>
+        [
+          `FILE ${boundary}: ${filePath.trim()}`,
+          fenceBlock(fence, fenceLanguage, code),
+          `END FILE ${boundary}`,
+        ].join("\n")
+      )
+      .join("\n\n");
+  }
+
+  const original = promptText.match(ORIGINAL_CODE_REGEX);
+
+  return original
+    ? fenceBlock(original[1], original[2], original[3])
+    : fenceBlock("```", "javascript", "");
+};
+
+const createProviderError = async (error) => {
+  const { APICallError } = await import("ai");
+  return new APICallError({
+    message: error.message || "Mock provider failure",
+    url: "mock://provider",
+    requestBodyValues: {},
+    statusCode: error.statusCode,
+    responseHeaders: error.headers,
+    responseBody: error.responseBody,
+    isRetryable: Boolean(error.retryable),
+  });
+};
+
+const resolveCompletion = async (modelId, options) => {
+  const promptText = promptToText(options.prompt);
+  recordedCalls.push({
+    modelId,
+    prompt: promptText,
+    temperature: options.temperature,
+    maxOutputTokens: options.maxOutputTokens,
+    responseFormat: options.responseFormat,
+  });
+  if (recordedCalls.length > MAX_RECORDED_CALLS) {
+    recordedCalls.shift();
+  }
+
+  const step = nextScriptedStep();
+
+  if (step && step.delayMs) {
+    await delay(step.delayMs, undefined, { signal: options.abortSignal });
+  }
+
+  if (step && step.error) {
+    throw await createProviderError(step.error);
+  }
+
+  let text = buildRuleBasedResponse(promptText, options.responseFormat);
+  if (step && typeof step.text === "function") {
+    text = step.text(promptText);
+  } else if (step && typeof step.text === "string") {
+    text = step.text;
+  }
+  return {
+    text,
+    usage: {
+      inputTokens: Math.ceil(promptText.length / 4),
+      outputTokens: Math.ceil(text.length / 4),
+      totalTokens: Math.ceil(promptText.length / 4) + Math.ceil(text.length / 4),
+    },
+  };
+};
+
+// Minimal LanguageModelV2 implementation understood by the ai SDK.
+const createMockLanguageModel = (modelId) => ({
+  specificationVersion: "v2",
+  provider: "mock",
+  modelId,
+  supportedUrls: {},
+  doGenerate: async (options) => {
+    const { text, usage } = await resolveCompletion(modelId, options);
+    return {
+      content: [{ type: "text", text }],
+      finishReason: "stop",
+      usage,
+      warnings: [],
+    };
+  },
+  doStream: async (options) => {
+    const { text, usage } = await resolveCompletion(modelId, options);
+    const deltas = text.match(/[\s\S]{1,16}/g) || [];
+    const parts = [
+      { type: "stream-start", warnings: [] },
+      { type: "text-start", id: "0" },
+      ...deltas.map((delta) => ({ type: "text-delta", id: "0", delta })),
+      { type: "text-end", id: "0" },
+      { type: "finish", finishReason: "stop", usage },
+    ];
+
+    return {
+      stream: new ReadableStream({
+        start(controller) {
+          parts.forEach((part) => controller.enqueue(part));
+          controller.close();
+        },
+      }),
+    };
+  },
+});
+
+module.exports = {
+  name: "mock",
+  apiKeyRequired: false,
+  resolveSettings: () => ({
+    apiKey: undefined,
+    baseURL: undefined,
+    defaultModel: readEnv("MOCK_LLM_MODEL") || "mock-model",
+    proxyUrl: undefined,
+    structuredOutput: readEnv("MOCK_LLM_STRUCTURED_OUTPUT") !== "false",
+  }),
+  createModelFactory: async () => (modelId) => createMockLanguageModel(modelId),
+  scriptResponses,
+  resetMockProvider,
+  getMockCalls,
+};
@@ -0,0 +1,29 @@
+const { readEnv } = require("./env");
+
+// Any server speaking the OpenAI chat completions API, e.g. llama.cpp,
+// Ollama or vLLM. Local servers are reached directly unless a proxy is set.
+module.exports = {
+  name: "openai-compatible",
+  apiKeyEnv: "OPENAI_COMPATIBLE_API_KEY",
+  apiKeyRequired: false,
+  baseURLEnv: "OPENAI_COMPATIBLE_BASE_URL",
+  resolveSettings: () => ({
+    apiKey: readEnv("OPENAI_COMPATIBLE_API_KEY"),
+    baseURL: readEnv("OPENAI_COMPATIBLE_BASE_URL"),
+    defaultModel: readEnv("OPENAI_COMPATIBLE_MODEL"),
+    proxyUrl: readEnv("OPENAI_COMPATIBLE_PROXY_URL"),
+    // Not every server accepts a JSON schema response format, so it is opt-in.
+    structuredOutput: readEnv("OPENAI_COMPATIBLE_STRUCTURED_OUTPUT") === "true",
+  }),
+  createModelFactory: async ({ apiKey, baseURL, fetch, structuredOutput }) => {
+    const { createOpenAICompatible } = await import("@ai-sdk/openai-compatible");
+    const provider = createOpenAICompatible({
+      name: "openai-compatible",
+      baseURL,
+      fetch,
+      supportsStructuredOutputs: structuredOutput,
+      ...(apiKey ? { apiKey } : {}),
+    });
+    return (modelId) => provider.chatModel(modelId);
+  },
+};
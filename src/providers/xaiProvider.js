@@ -0,0 +1,40 @@
+const { readEnv } = require("./env");
+
+const DEFAULT_MODEL = "grok-4";
+const DEFAULT_PROXY_URL = "http://127.0.0.1:7890";
+
+const resolveProxyUrl = () => {
+  const candidates = [
+    process.env.GROK_PROXY_URL,
+    process.env.HTTPS_PROXY,
+    process.env.HTTP_PROXY,
+  ].filter((value) => typeof value === "string" && value.trim().length > 0);
+
+  if (candidates.length === 0) {
+    return DEFAULT_PROXY_URL;
+  }
+
+  return candidates[0].trim();
+};
+
+module.exports = {
+  name: "xai",
+  apiKeyEnv: "GROK_API_KEY",
+  apiKeyRequired: true,
+  resolveSettings: () => ({
+    apiKey: readEnv("GROK_API_KEY"),
+    baseURL: readEnv("GROK_API_URL"),
+    defaultModel: readEnv("GROK_MODEL") || DEFAULT_MODEL,
+    proxyUrl: resolveProxyUrl(),
+    structuredOutput: true,
+  }),
+  createModelFactory: async ({ apiKey, baseURL, fetch }) => {
+    const { createXai } = await import("@ai-sdk/xai");
+    const xai = createXai({
+      apiKey,
+      fetch,
+      ...(baseURL ? { baseURL } : {}),
+    });
+    return (modelId) => xai(modelId);
+  },
+};
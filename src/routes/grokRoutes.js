@@ -1,15 +1,70 @@
 const express = require('express');
 const {
   refactorCodeHandler,
+  streamRefactorCodeHandler,
   refactorDirectoryHandler,
 } = require('../controllers/grokController');
+const {
+  createJobHandler,
+  getJobHandler,
+  cancelJobHandler,
+} = require('../controllers/jobController');
+const { getUsageHandler } = require('../controllers/usageController');
+const { listPresetsHandler } = require('../controllers/presetController');
+const { applyHandler } = require('../controllers/applyController');
+const {
+  listSnapshotsHandler,
+  getSnapshotHandler,
+  rollbackSnapshotHandler,
+} = require('../controllers/snapshotController');
+const validateRequest = require('../middleware/validateRequest');
+const { buildSchemas } = require('../schemas/grokSchemas');
 
 const router = express.Router();
+const schemas = buildSchemas();
 
 // Submit single file to Grok for refactoring/commenting
-router.post('/refactor', refactorCodeHandler);
+router.post('/refactor', validateRequest(schemas.refactor), refactorCodeHandler);
+
+// Same as /refactor, streamed as Server-Sent Events
+router.post(
+  '/refactor/stream',
+  validateRequest(schemas.refactor),
+  streamRefactorCodeHandler
+);
 
 // Submit an entire directory worth of files for holistic processing
-router.post('/refactor-directory', refactorDirectoryHandler);
+router.post(
+  '/refactor-directory',
+  validateRequest(schemas.refactorDirectory),
+  refactorDirectoryHandler
+);
+
+// Queue a directory refactor as a background job, then poll or cancel it
+router.post('/jobs', validateRequest(schemas.createJob), createJobHandler);
+router.get('/jobs/:id', validateRequest(schemas.jobById), getJobHandler);
+router.delete('/jobs/:id', validateRequest(schemas.jobById), cancelJobHandler);
+
+// Token usage and estimated cost from the usage ledger
+router.get('/usage', validateRequest(schemas.usage), getUsageHandler);
+
+// Named prompt presets callers can pick with the `preset` field
+router.get('/presets', listPresetsHandler);
+
+// Write processed files (inline or from a finished job) into the project
+router.post('/apply', validateRequest(schemas.apply), applyHandler);
+
+// Every apply is recorded as a snapshot that can be inspected and rolled back
+router.get('/snapshots', listSnapshotsHandler);
+router.get(
+  '/snapshots/:id',
+  validateRequest(schemas.snapshotById),
+  getSnapshotHandler
+);
+router.post(
+  '/snapshots/:id/rollback',
+  validateRequest(schemas.rollback),
+  rollbackSnapshotHandler
+);
 
 module.exports = router;
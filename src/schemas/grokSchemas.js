@@ -0,0 +1,261 @@
+const { z } = require('zod');
+const { listProviders, listDefaultModels } = require('../providers');
+const { resolveSelectionLimits } = require('../utils/projectFiles');
+const { readLimit } = require('../utils/numbers');
+const { listPresetNames } = require('../presets');
+const {
+  listLanguageIds,
+  listSupportedExtensions,
+} = require('../utils/languages');
+
+const DEFAULT_MAX_CODE_CHARS = 100000;
+const DEFAULT_MAX_INSTRUCTION_CHARS = 2000;
+const MAX_DIRECTORY_PATH_CHARS = 1024;
+const MAX_PATTERNS = 50;
+const MAX_PATTERN_CHARS = 256;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isDemoMode = () => process.env.GROK_DEMO_MODE === 'true';
+
+/**
+ * Models clients may request: GROK_ALLOWED_MODELS (comma separated, "*" for
+ * any), or else the default model of every provider.
+ */
+const resolveAllowedModels = () => {
+  const configured = (process.env.GROK_ALLOWED_MODELS || '')
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean);
+
+  return configured.length > 0 ? configured : listDefaultModels();
+};
+
+const buildSharedFields = () => {
+  const maxInstructionChars = readLimit(
+    'GROK_MAX_INSTRUCTION_CHARS',
+    DEFAULT_MAX_INSTRUCTION_CHARS
+  );
+  const allowedModels = resolveAllowedModels();
+
+  return {
+    instruction: z
+      .string()
+      .max(maxInstructionChars, {
+        error: `instruction must be at most ${maxInstructionChars} characters`,
+      })
+      .optional(),
+    model: z
+      .string()
+      .refine(
+        (model) => allowedModels.includes('*') || allowedModels.includes(model),
+        { error: `model must be one of: ${allowedModels.join(', ')}` }
+      )
+      .optional(),
+    provider: z
+      .enum(listProviders(), {
+        error: `provider must be one of: ${listProviders().join(', ')}`,
+      })
+      .optional(),
+    preset: z
+      .enum(listPresetNames(), {
+        error: `preset must be one of: ${listPresetNames().join(', ')}`,
+      })
+      .optional(),
+    maxChangedLines: z
+      .int({ error: 'maxChangedLines must be a positive integer' })
+      .positive({ error: 'maxChangedLines must be a positive integer' })
+      .optional(),
+    cache: z
+      .enum(['default', 'bypass'], { error: 'cache must be "default" or "bypass"' })
+      .optional(),
+  };
+};
+
+const buildRefactorBody = () => {
+  const maxCodeChars = readLimit('GROK_MAX_CODE_CHARS', DEFAULT_MAX_CODE_CHARS);
+  const code = z
+    .string({ error: 'code is required and must be a string' })
+    .min(1, { error: 'code must not be empty' })
+    .max(maxCodeChars, { error: `code must be at most ${maxCodeChars} characters` });
+
+  return z.strictObject({
+    ...buildSharedFields(),
+    // Only demo mode may omit code and fall back to sample-test.js.
+    code: isDemoMode() ? code.optional() : code,
+    output: z
+      .enum(['code', 'diff', 'both'], {
+        error: 'output must be one of "code", "diff" or "both"',
+      })
+      .default('code'),
+    language: z
+      .enum(listLanguageIds(), {
+        error: `language must be one of: ${listLanguageIds().join(', ')}`,
+      })
+      .optional(),
+  });
+};
+
+const patternList = (name) =>
+  z
+    .array(
+      z
+        .string({ error: `${name} must be a list of glob patterns` })
+        .min(1, { error: `${name} patterns must not be empty` })
+        .max(MAX_PATTERN_CHARS, {
+          error: `${name} patterns must be at most ${MAX_PATTERN_CHARS} characters`,
+        }),
+      { error: `${name} must be a list of glob patterns` }
+    )
+    .max(MAX_PATTERNS, { error: `${name} may list at most ${MAX_PATTERNS} patterns` })
+    .optional();
+
+const cappedInteger = (name, max) =>
+  z
+    .int({ error: `${name} must be a positive integer` })
+    .positive({ error: `${name} must be a positive integer` })
+    .max(max, { error: `${name} must be at most ${max}` })
+    .optional();
+
+// Accepts ".py" as well as "py"
+const isSupportedExtension = (extension) =>
+  listSupportedExtensions().includes(
+    (extension.startsWith('.') ? extension : `.${extension}`).toLowerCase()
+  );
+
+// Which files under directoryPath are sent to the model
+const buildFileSelectionFields = () => {
+  const limits = resolveSelectionLimits();
+
+  return {
+    include: patternList('include'),
+    exclude: patternList('exclude'),
+    extensions: z
+      .array(
+        z.string().refine(isSupportedExtension, {
+          error: `extensions must be among: ${listSupportedExtensions().join(', ')}`,
+        }),
+        { error: 'extensions must be a list of file extensions' }
+      )
+      .min(1, { error: 'extensions must not be empty' })
+      .max(MAX_PATTERNS, {
+        error: `extensions may list at most ${MAX_PATTERNS} entries`,
+      })
+      .optional(),
+    maxFileBytes: cappedInteger('maxFileBytes', limits.maxFileBytes),
+    maxFiles: cappedInteger('maxFiles', limits.maxFiles),
+    respectGitignore: z
+      .boolean({ error: 'respectGitignore must be true or false' })
+      .optional(),
+  };
+};
+
+const buildDirectoryBody = () =>
+  z.strictObject({
+    ...buildSharedFields(),
+    ...buildFileSelectionFields(),
+    directoryPath: z
+      .string({ error: 'directoryPath is required and must be a string' })
+      .min(1, { error: 'directoryPath must not be empty' })
+      .max(MAX_DIRECTORY_PATH_CHARS, {
+        error: `directoryPath must be at most ${MAX_DIRECTORY_PATH_CHARS} characters`,
+      }),
+    maxBatchTokens: z
+      .int({ error: 'maxBatchTokens must be a positive integer' })
+      .positive({ error: 'maxBatchTokens must be a positive integer' })
+      .optional(),
+    responseFormat: z
+      .enum(['text', 'json'], { error: 'responseFormat must be "text" or "json"' })
+      .optional(),
+  });
+
+const day = (name) =>
+  z.iso.date({ error: `${name} must be a date in YYYY-MM-DD format` }).optional();
+
+const usageQuery = z
+  .strictObject({
+    from: day('from'),
+    to: day('to'),
+  })
+  .refine(({ from, to }) => !from || !to || from <= to, {
+    error: 'from must not be after to',
+    path: ['from'],
+  });
+
+const jobParams = z.object({
+  id: z.string().regex(UUID_PATTERN, { error: 'id must be a job id (UUID)' }),
+});
+
+const snapshotParams = z.object({
+  id: z.string().regex(UUID_PATTERN, { error: 'id must be a snapshot id (UUID)' }),
+});
+
+// Without `path` the whole snapshot is rolled back.
+const rollbackBody = z.strictObject({
+  path: z
+    .string({ error: 'path must be a string' })
+    .min(1, { error: 'path must not be empty' })
+    .max(MAX_DIRECTORY_PATH_CHARS, {
+      error: `path must be at most ${MAX_DIRECTORY_PATH_CHARS} characters`,
+    })
+    .optional(),
+  force: z.boolean({ error: 'force must be true or false' }).default(false),
+});
+
+// Files to write come either inline or from a completed job, never both.
+const buildApplyBody = () => {
+  const { maxFiles } = resolveSelectionLimits();
+
+  return z
+    .strictObject({
+      files: z
+        .array(
+          z.strictObject({
+            path: z
+              .string({ error: 'files[].path is required and must be a string' })
+              .min(1, { error: 'files[].path must not be empty' })
+              .max(MAX_DIRECTORY_PATH_CHARS, {
+                error: `files[].path must be at most ${MAX_DIRECTORY_PATH_CHARS} characters`,
+              }),
+            code: z.string({ error: 'files[].code is required and must be a string' }),
+          }),
+          { error: 'files must be a list of { path, code }' }
+        )
+        .min(1, { error: 'files must not be empty' })
+        .max(maxFiles, { error: `files may list at most ${maxFiles} entries` })
+        .optional(),
+      jobId: z
+        .string()
+        .regex(UUID_PATTERN, { error: 'jobId must be a job id (UUID)' })
+        .optional(),
+      // Recorded in the snapshot for inline files; jobs supply their own.
+      instruction: buildSharedFields().instruction,
+      model: z.string({ error: 'model must be a string' }).max(200).optional(),
+      dryRun: z.boolean({ error: 'dryRun must be true or false' }).default(false),
+      // Apply a job even over files changed since it was submitted
+      force: z.boolean({ error: 'force must be true or false' }).default(false),
+    })
+    .refine(({ files, jobId }) => Boolean(files) !== Boolean(jobId), {
+      error: 'Provide either files or jobId',
+      path: ['files'],
+    });
+};
+
+/**
+ * Schemas per route, built when the routes load so limits and the model
+ * allowlist follow the environment at startup.
+ */
+const buildSchemas = () => ({
+  refactor: { body: buildRefactorBody() },
+  refactorDirectory: { body: buildDirectoryBody() },
+  createJob: { body: buildDirectoryBody() },
+  jobById: { params: jobParams },
+  usage: { query: usageQuery },
+  apply: { body: buildApplyBody() },
+  snapshotById: { params: snapshotParams },
+  rollback: { params: snapshotParams, body: rollbackBody },
+});
+
+module.exports = {
+  buildSchemas,
+  isDemoMode,
+};
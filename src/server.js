@@ -1,16 +1,22 @@
-const app = require('./app');
+// Load .env before anything else reads process.env at require time
 require('dotenv').config();
+const app = require('./app');
+const { resumeJobs } = require('./services/jobService');
+const { logger } = require('./utils/logger');
 
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+  logger.info('Server is running', { port: Number(PORT) });
+
+  resumeJobs().catch((err) => {
+    logger.error('Failed to resume background jobs', { error: err });
+  });
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
-  console.error('UNHANDLED REJECTION! 💥 Shutting down...');
-  console.error(err);
+  logger.error('Unhandled rejection, shutting down', { error: err });
   server.close(() => {
     process.exit(1);
   });
@@ -18,7 +24,6 @@ process.on('unhandledRejection', (err) => {
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.error('UNCAUGHT EXCEPTION! 💥 Shutting down...');
-  console.error(err);
+  logger.error('Uncaught exception, shutting down', { error: err });
   process.exit(1);
 });
@@ -0,0 +1,374 @@
+const fs = require("fs/promises");
+const path = require("path");
+const AppError = require("../utils/appError");
+const {
+  PROJECT_ROOT,
+  IGNORED_DIRECTORIES,
+  resolveDataDirectory,
+  isWithin,
+  resolveRealPath,
+  isEnvironmentFile,
+  ensurePathWithinProject,
+} = require("../utils/projectFiles");
+const {
+  writeFileAtomic,
+  hashContent,
+} = require("../utils/dataStore");
+const { listSupportedExtensions } = require("../utils/languages");
+const { createUnifiedDiff } = require("../utils/diff");
+const { logger } = require("../utils/logger");
+const {
+  createSnapshot,
+  saveSnapshot,
+  discardSnapshot,
+  loadSnapshot,
+  toSnapshotSummary,
+} = require("./snapshotService");
+
+// Package manifests and lock files decide what gets installed and run, so
+// they are never written even though their extensions are supported.
+const PROTECTED_FILE_NAMES = new Set([
+  "package.json",
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "pnpm-workspace.yaml",
+  "bun.lockb",
+  "deno.json",
+  "deno.lock",
+  "composer.json",
+  "composer.lock",
+  "go.mod",
+  "go.sum",
+  "go.work",
+  "Cargo.toml",
+  "Cargo.lock",
+  "pyproject.toml",
+  "poetry.lock",
+  "Pipfile",
+  "Pipfile.lock",
+  "requirements.txt",
+  "Gemfile",
+  "Gemfile.lock",
+]);
+
+/**
+ * Without GROK_PROJECT_ROOT the project root is this service's own
+ * checkout, and writing to it would let a client change the code the
+ * service runs. Apply and rollback are refused until it names a project.
+ */
+const ensureWritesEnabled = () => {
+  if (!process.env.GROK_PROJECT_ROOT) {
+    throw new AppError(
+      "Writing files is disabled until GROK_PROJECT_ROOT names the project to edit",
+      "WRITES_DISABLED"
+    );
+  }
+};
+
+const toProjectPath = (absolutePath) =>
+  path.relative(PROJECT_ROOT, absolutePath).split(path.sep).join("/");
+
+/**
+ * Resolve a path that apply and rollback may write. It must be a source file
+ * (by extension) inside the project root, even after resolving symlinked
+ * directories, and must not be a .env file, a package manifest or lock file,
+ * or lie under the data directory or an ignored directory such as .git or
+ * node_modules.
+ */
+const resolveWritablePath = async (filePath) => {
+  const absolutePath = ensurePathWithinProject(filePath, `File path ${filePath}`);
+  const projectPath = toProjectPath(absolutePath);
+  const refuse = (reason) => {
+    throw new AppError(`File path ${projectPath} ${reason}`, "INVALID_REQUEST");
+  };
+
+  if (absolutePath === PROJECT_ROOT) {
+    throw new AppError("File path must name a file", "INVALID_REQUEST");
+  }
+
+  const realRoot = await fs.realpath(PROJECT_ROOT);
+  const realPath = path.join(
+    await resolveRealPath(path.dirname(absolutePath)),
+    path.basename(absolutePath)
+  );
+
+  if (!isWithin(realRoot, realPath)) {
+    refuse("must be inside the project root");
+  }
+
+  const directories = [
+    ...projectPath.split("/").slice(0, -1),
+    ...path.relative(realRoot, realPath).split(path.sep).slice(0, -1),
+  ];
+  const dataDirectory = resolveDataDirectory();
+
+  if (directories.some((directory) => IGNORED_DIRECTORIES.has(directory))) {
+    refuse("is inside an ignored directory");
+  }
+  if (
+    isWithin(dataDirectory, absolutePath) ||
+    isWithin(await resolveRealPath(dataDirectory), realPath)
+  ) {
+    refuse("is inside the service data directory");
+  }
+  if (isEnvironmentFile(absolutePath)) {
+    refuse("is an environment file");
+  }
+  if (PROTECTED_FILE_NAMES.has(path.basename(absolutePath))) {
+    refuse("is a package manifest or lock file");
+  }
+  const extension = path.extname(absolutePath).toLowerCase();
+  if (!listSupportedExtensions().includes(extension)) {
+    refuse("must have a supported source file extension");
+  }
+
+  return { absolutePath, projectPath };
+};
+
+const readCurrentContent = async (absolutePath, projectPath) => {
+  const stat = await fs.lstat(absolutePath).catch((error) => {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  });
+
+  if (!stat) {
+    return null;
+  }
+
+  if (!stat.isFile()) {
+    throw new AppError(
+      `${projectPath} exists but is not a regular file`,
+      "INVALID_REQUEST"
+    );
+  }
+
+  return fs.readFile(absolutePath, "utf8");
+};
+
+/**
+ * Check every path (see resolveWritablePath) and compare it with what is on
+ * disk, before anything is read or written. Each entry carries its status (created, modified or unchanged)
+ * and a unified diff against the current file.
+ */
+const planChanges = async (files) => {
+  const seen = new Set();
+  const plan = [];
+
+  for (const file of files) {
+    const { absolutePath, projectPath } = await resolveWritablePath(file.path);
+
+    if (seen.has(absolutePath)) {
+      throw new AppError(`${projectPath} is listed more than once`, "INVALID_REQUEST");
+    }
+    seen.add(absolutePath);
+
+    const original = await readCurrentContent(absolutePath, projectPath);
+    let status = "modified";
+    if (original === null) status = "created";
+    else if (original === file.code) status = "unchanged";
+
+    plan.push({
+      absolutePath,
+      path: projectPath,
+      status,
+      original,
+      code: file.code,
+      diff: createUnifiedDiff(original || "", file.code, {
+        oldLabel: projectPath,
+      }),
+    });
+  }
+
+  return plan;
+};
+
+/**
+ * Paths whose current contents no longer match `baseHashes` (path to the
+ * sha256 of the contents the changes were made from).
+ */
+const findChangedSinceBase = (plan, baseHashes) =>
+  plan
+    .filter(
+      (entry) =>
+        baseHashes.has(entry.path) &&
+        (entry.original === null ||
+          hashContent(entry.original) !== baseHashes.get(entry.path))
+    )
+    .map((entry) => entry.path);
+
+// A file that did not exist before is removed rather than emptied.
+const restoreFile = (absolutePath, original) =>
+  original === null
+    ? fs.rm(absolutePath, { force: true })
+    : writeFileAtomic(absolutePath, original);
+
+const restoreOriginals = async (changes) => {
+  for (const change of changes) {
+    try {
+      await restoreFile(change.absolutePath, change.original);
+    } catch (error) {
+      logger.error("Could not restore file after a failed apply", {
+        filePath: change.path,
+        error,
+      });
+    }
+  }
+};
+
+/**
+ * Write processed files into the project. Every path must resolve inside the
+ * project root; the changes are recorded as a snapshot first (see
+ * snapshotService) and each file is written through a temp file and rename.
+ * When a write fails, the files already written are restored and the
+ * snapshot is discarded before the error is rethrown. With `dryRun` nothing
+ * is written and the planned changes are returned. When `baseHashes` is
+ * given, files changed since then are refused with JOB_CONFLICT unless
+ * `force` is set.
+ */
+const applyChanges = async ({
+  files,
+  dryRun = false,
+  baseHashes,
+  force = false,
+  instruction,
+  model,
+  jobId,
+  clientId,
+}) => {
+  ensureWritesEnabled();
+  const plan = await planChanges(files);
+  const conflicts = baseHashes ? findChangedSinceBase(plan, baseHashes) : [];
+
+  if (conflicts.length > 0 && !force) {
+    throw new AppError(
+      `Changed since the job was submitted: ${conflicts.join(", ")}`,
+      "JOB_CONFLICT",
+      { conflicts }
+    );
+  }
+
+  const changes = plan.filter((entry) => entry.status !== "unchanged");
+  const summary = plan.map(({ path: filePath, status, diff }) => ({
+    path: filePath,
+    status,
+    diff,
+  }));
+
+  if (dryRun || changes.length === 0) {
+    return { dryRun, snapshotId: null, files: summary };
+  }
+
+  const snapshot = await createSnapshot({
+    changes,
+    instruction,
+    model,
+    jobId,
+    clientId,
+  });
+
+  const written = [];
+  try {
+    for (const change of changes) {
+      written.push(change);
+      await writeFileAtomic(change.absolutePath, change.code);
+    }
+  } catch (error) {
+    await restoreOriginals(written);
+    await discardSnapshot(snapshot.id);
+    throw error;
+  }
+
+  logger.info("Applied changes", {
+    snapshotId: snapshot.id,
+    fileCount: changes.length,
+  });
+  return { dryRun, snapshotId: snapshot.id, files: summary };
+};
+
+const selectRollbackFiles = (snapshot, filePath) => {
+  if (!filePath) {
+    return snapshot.files;
+  }
+
+  const projectPath = toProjectPath(
+    ensurePathWithinProject(filePath, `File path ${filePath}`)
+  );
+  const file = snapshot.files.find((entry) => entry.path === projectPath);
+
+  if (!file) {
+    throw new AppError(
+      `Snapshot ${snapshot.id} does not include ${projectPath}`,
+      "INVALID_REQUEST"
+    );
+  }
+
+  return [file];
+};
+
+/**
+ * Put the files of a snapshot (or just `path`) back to their original
+ * contents; files the apply created are deleted. A file whose contents no
+ * longer match what the apply wrote has been changed since, and the
+ * rollback is refused with SNAPSHOT_CONFLICT unless `force` is set. Files
+ * already rolled back are left alone.
+ */
+const rollbackSnapshot = async ({ id, path: filePath, force = false, clientId }) => {
+  ensureWritesEnabled();
+  const snapshot = await loadSnapshot(id, clientId);
+  const targets = selectRollbackFiles(snapshot, filePath);
+  const pending = [];
+
+  for (const file of targets.filter((entry) => !entry.rolledBackAt)) {
+    const { absolutePath } = await resolveWritablePath(file.path);
+    const current = await readCurrentContent(absolutePath, file.path);
+    pending.push({ file, absolutePath, conflict: current !== file.updated });
+  }
+
+  const conflicts = pending
+    .filter((entry) => entry.conflict)
+    .map((entry) => entry.file.path);
+
+  if (conflicts.length > 0 && !force) {
+    throw new AppError(
+      `Changed since the snapshot was taken: ${conflicts.join(", ")}`,
+      "SNAPSHOT_CONFLICT",
+      { conflicts }
+    );
+  }
+
+  const rolledBackAt = new Date().toISOString();
+  for (const { file, absolutePath } of pending) {
+    await restoreFile(absolutePath, file.original);
+    file.rolledBackAt = rolledBackAt;
+  }
+  await saveSnapshot(snapshot);
+
+  logger.info("Rolled back snapshot", {
+    snapshotId: snapshot.id,
+    fileCount: pending.length,
+    conflicts: conflicts.length,
+  });
+
+  const restored = new Map(pending.map((entry) => [entry.file, entry]));
+  return {
+    snapshot: toSnapshotSummary(snapshot),
+    files: targets.map((file) => {
+      const entry = restored.get(file);
+      if (!entry) {
+        return { path: file.path, status: "already-rolled-back" };
+      }
+      return {
+        path: file.path,
+        status: file.original === null ? "deleted" : "restored",
+        overwroteChanges: entry.conflict,
+      };
+    }),
+  };
+};
+
+module.exports = {
+  applyChanges,
+  rollbackSnapshot,
+};
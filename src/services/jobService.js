@@ -0,0 +1,342 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const AppError = require("../utils/appError");
+const { readLimit } = require("../utils/numbers");
+const { requestProjectModification } = require("./grokService");
+const {
+  resolveDataPath,
+  writeJsonAtomic,
+  readJson,
+  hashContent,
+} = require("../utils/dataStore");
+const {
+  logger,
+  getLogContext,
+  runWithLogContext,
+} = require("../utils/logger");
+
+const DEFAULT_JOB_CONCURRENCY = 1;
+const ACTIVE_STATUSES = new Set(["queued", "running"]);
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Jobs that are queued or running; finished jobs are served from disk.
+const activeJobs = new Map();
+const abortControllers = new Map();
+const writeChains = new Map();
+const queue = [];
+let runningCount = 0;
+
+const jobsDirectory = () => resolveDataPath("jobs");
+const jobFilePath = (id) => resolveDataPath("jobs", `${id}.json`);
+
+const resolveConcurrency = () =>
+  readLimit("GROK_JOB_CONCURRENCY", DEFAULT_JOB_CONCURRENCY);
+
+// Serialize writes per job so an older snapshot never overwrites a newer one.
+const persistJob = (job) => {
+  job.updatedAt = new Date().toISOString();
+  const snapshot = JSON.parse(JSON.stringify(job));
+  const previous = writeChains.get(job.id) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(() => writeJsonAtomic(jobFilePath(job.id), snapshot));
+
+  writeChains.set(job.id, next);
+  next
+    .catch(() => {})
+    .then(() => {
+      if (writeChains.get(job.id) === next) {
+        writeChains.delete(job.id);
+      }
+    });
+
+  return next;
+};
+
+const toPublicJob = ({ input, ...job }) => job;
+
+const refreshProgress = (job) => {
+  job.progress.completed = job.files.filter(
+    (file) => file.status === "completed"
+  ).length;
+};
+
+const updateFileStatuses = (job, fromStatuses, toStatus) => {
+  job.files.forEach((file) => {
+    if (fromStatuses.includes(file.status)) {
+      file.status = toStatus;
+    }
+  });
+  refreshProgress(job);
+};
+
+const loadJob = async (id) => {
+  if (typeof id !== "string" || !JOB_ID_PATTERN.test(id)) {
+    return null;
+  }
+
+  return activeJobs.get(id) || readJson(jobFilePath(id));
+};
+
+const runJob = async (id) => {
+  const job = activeJobs.get(id);
+
+  if (!job || job.status !== "queued") {
+    return;
+  }
+
+  const controller = new AbortController();
+  abortControllers.set(id, controller);
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  updateFileStatuses(job, ["pending"], "processing");
+  await persistJob(job);
+
+  try {
+    const { directoryPath, selection, ...options } = job.request;
+    const {
+      files: processedFiles,
+      discardedBlocks,
+      injectionWarnings,
+      responseFormat,
+      cache,
+      usage,
+    } = await requestProjectModification({
+      ...options,
+      files: job.input,
+      abortSignal: controller.signal,
+      onBatchComplete: async (batchFiles) => {
+        if (job.status === "cancelled") return;
+        const finishedPaths = new Set(batchFiles.map((file) => file.path));
+        job.files.forEach((file) => {
+          if (finishedPaths.has(file.path)) file.status = "completed";
+        });
+        refreshProgress(job);
+        await persistJob(job);
+      },
+    });
+
+    if (job.status === "cancelled") {
+      return;
+    }
+
+    updateFileStatuses(job, ["processing"], "completed");
+    job.status = "completed";
+    job.result = {
+      files: processedFiles,
+      fileCount: processedFiles.length,
+      discardedBlocks,
+      injectionWarnings,
+      responseFormat,
+      cache,
+      usage,
+    };
+    logger.info("Job completed", { fileCount: processedFiles.length });
+  } catch (error) {
+    if (job.status === "cancelled") {
+      return;
+    }
+
+    logger.error("Job failed", { error });
+    updateFileStatuses(job, ["processing"], "failed");
+    job.status = "failed";
+    job.error = {
+      message: error.message,
+      statusCode: error.statusCode || 500,
+      code: error.isOperational ? error.code : undefined,
+    };
+  } finally {
+    abortControllers.delete(id);
+    job.finishedAt = job.finishedAt || new Date().toISOString();
+    await persistJob(job);
+    activeJobs.delete(id);
+  }
+};
+
+const drainQueue = () => {
+  while (runningCount < resolveConcurrency() && queue.length > 0) {
+    const id = queue.shift();
+    const job = activeJobs.get(id);
+    runningCount += 1;
+
+    // Jobs log under the id of the request and client that created them,
+    // plus their own.
+    runWithLogContext(
+      {
+        requestId: job ? job.requestId : undefined,
+        clientId: job ? job.clientId : undefined,
+        jobId: id,
+      },
+      () => runJob(id)
+    )
+      .catch((error) => {
+        logger.error("Unexpected job runner error", { jobId: id, error });
+      })
+      .finally(() => {
+        runningCount -= 1;
+        drainQueue();
+      });
+  }
+};
+
+const enqueueJob = (id) => {
+  queue.push(id);
+  drainQueue();
+};
+
+const countActiveJobs = (clientId) =>
+  [...activeJobs.values()].filter(
+    (job) => job.clientId === clientId && ACTIVE_STATUSES.has(job.status)
+  ).length;
+
+// Jobs belong to the API client that created them; other clients get a 404.
+// Without authentication (no clientId) every job is visible.
+const loadOwnedJob = async (id, clientId) => {
+  const job = await loadJob(id);
+
+  if (!job || (clientId && job.clientId !== clientId)) {
+    throw new AppError("Job not found", "JOB_NOT_FOUND");
+  }
+
+  return job;
+};
+
+/**
+ * Persist a directory refactor job and queue it for background processing.
+ * `files` holds the [{ path, code }] entries read at submission time and
+ * `skippedFiles` the paths the file selection left out. When
+ * `client` is given the job is owned by it and counts towards its
+ * maxConcurrentJobs.
+ */
+const createJob = async ({
+  directoryPath,
+  instruction,
+  model,
+  provider,
+  preset,
+  maxChangedLines,
+  maxBatchTokens,
+  responseFormat,
+  cache,
+  selection,
+  files,
+  skippedFiles,
+  client,
+}) => {
+  if (client && countActiveJobs(client.id) >= client.maxConcurrentJobs) {
+    throw new AppError(
+      `At most ${client.maxConcurrentJobs} jobs may be queued or running at once`,
+      "TOO_MANY_JOBS"
+    );
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    clientId: client ? client.id : null,
+    requestId: getLogContext().requestId || null,
+    status: "queued",
+    createdAt: now,
+    updatedAt: now,
+    request: {
+      directoryPath,
+      instruction,
+      model,
+      provider,
+      preset,
+      maxChangedLines,
+      maxBatchTokens,
+      responseFormat,
+      cache,
+      selection: selection || {},
+    },
+    // sha256 of each file as submitted, checked again when the job is applied
+    files: files.map((file) => ({
+      path: file.path,
+      status: "pending",
+      sha256: hashContent(file.code),
+    })),
+    skippedFiles: skippedFiles || [],
+    progress: { completed: 0, total: files.length },
+    result: null,
+    error: null,
+    input: files,
+  };
+
+  activeJobs.set(job.id, job);
+  await persistJob(job);
+  enqueueJob(job.id);
+
+  return toPublicJob(job);
+};
+
+const getJob = async (id, clientId) =>
+  toPublicJob(await loadOwnedJob(id, clientId));
+
+const cancelJob = async (id, clientId) => {
+  const job = await loadOwnedJob(id, clientId);
+
+  if (!ACTIVE_STATUSES.has(job.status)) {
+    throw new AppError(`Job is already ${job.status}`, "JOB_ALREADY_FINISHED");
+  }
+
+  job.status = "cancelled";
+  job.finishedAt = new Date().toISOString();
+  updateFileStatuses(job, ["pending", "processing"], "cancelled");
+
+  const controller = abortControllers.get(id);
+  if (controller) {
+    controller.abort();
+  } else {
+    activeJobs.delete(id);
+  }
+
+  await persistJob(job);
+  return toPublicJob(job);
+};
+
+/**
+ * Re-queue jobs that were queued or running when the server last stopped.
+ * They restart from the beginning with the file contents stored at submission.
+ */
+const resumeJobs = async () => {
+  const entries = await fs.readdir(jobsDirectory()).catch((error) => {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  });
+
+  const storedJobs = await Promise.all(
+    entries
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => readJson(resolveDataPath("jobs", name)))
+  );
+
+  const pendingJobs = storedJobs
+    .filter((job) => job && ACTIVE_STATUSES.has(job.status))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of pendingJobs) {
+    job.status = "queued";
+    delete job.startedAt;
+    updateFileStatuses(job, ["processing"], "pending");
+    activeJobs.set(job.id, job);
+    await persistJob(job);
+    enqueueJob(job.id);
+  }
+
+  if (pendingJobs.length > 0) {
+    logger.info("Resumed jobs after restart", {
+      count: pendingJobs.length,
+    });
+  }
+
+  return pendingJobs.length;
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  resumeJobs,
+};
@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const AppError = require("../utils/appError");
+const {
+  resolveDataPath,
+  writeJsonAtomic,
+  readJson,
+} = require("../utils/dataStore");
+const { createUnifiedDiff } = require("../utils/diff");
+
+const SNAPSHOT_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const snapshotsDirectory = () => resolveDataPath("snapshots");
+const snapshotFilePath = (id) => resolveDataPath("snapshots", `${id}.json`);
+
+const toSnapshotSummary = ({ files, ...snapshot }) => ({
+  ...snapshot,
+  fileCount: files.length,
+  files: files.map(({ path, status, rolledBackAt }) => ({
+    path,
+    status,
+    rolledBackAt,
+  })),
+});
+
+/**
+ * Record an apply before it touches the disk: the original and new contents
+ * of every changed file (original is null for created files), together with
+ * the instruction, model and job that produced them. Stored as
+ * GROK_DATA_DIR/snapshots/<id>.json.
+ */
+const createSnapshot = async ({ changes, instruction, model, jobId, clientId }) => {
+  const snapshot = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    clientId: clientId || null,
+    jobId: jobId || null,
+    instruction: instruction || null,
+    model: model || null,
+    files: changes.map((change) => ({
+      path: change.path,
+      status: change.status,
+      original: change.original,
+      updated: change.code,
+      rolledBackAt: null,
+    })),
+  };
+
+  await writeJsonAtomic(snapshotFilePath(snapshot.id), snapshot);
+  return snapshot;
+};
+
+const saveSnapshot = (snapshot) =>
+  writeJsonAtomic(snapshotFilePath(snapshot.id), snapshot);
+
+// Used when an apply fails and its writes have been undone.
+const discardSnapshot = (id) => fs.rm(snapshotFilePath(id), { force: true });
+
+/**
+ * The stored snapshot, when it exists and belongs to `clientId` (any client
+ * when clientId is not given).
+ */
+const loadSnapshot = async (id, clientId) => {
+  const snapshot = SNAPSHOT_ID_PATTERN.test(id)
+    ? await readJson(snapshotFilePath(id))
+    : null;
+
+  if (!snapshot || (clientId && snapshot.clientId !== clientId)) {
+    throw new AppError("Snapshot not found", "SNAPSHOT_NOT_FOUND");
+  }
+
+  return snapshot;
+};
+
+/**
+ * Snapshots visible to `clientId`, newest first, without file contents.
+ */
+const listSnapshots = async (clientId) => {
+  const entries = await fs.readdir(snapshotsDirectory()).catch((error) => {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  });
+
+  const snapshots = await Promise.all(
+    entries
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => readJson(resolveDataPath("snapshots", name)))
+  );
+
+  return snapshots
+    .filter((snapshot) => snapshot && (!clientId || snapshot.clientId === clientId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toSnapshotSummary);
+};
+
+/**
+ * One snapshot with a unified diff per file from its original to the
+ * applied contents.
+ */
+const getSnapshot = async (id, clientId) => {
+  const snapshot = await loadSnapshot(id, clientId);
+
+  return {
+    ...toSnapshotSummary(snapshot),
+    files: snapshot.files.map((file) => ({
+      path: file.path,
+      status: file.status,
+      rolledBackAt: file.rolledBackAt,
+      diff: createUnifiedDiff(file.original || "", file.updated, {
+        oldLabel: file.path,
+      }),
+    })),
+  };
+};
+
+module.exports = {
+  createSnapshot,
+  saveSnapshot,
+  discardSnapshot,
+  loadSnapshot,
+  listSnapshots,
+  getSnapshot,
+  toSnapshotSummary,
+};
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const readline = require("readline");
+const { resolveDataPath } = require("../utils/dataStore");
+const { logger, getLogContext } = require("../utils/logger");
+
+const ledgerPath = () => resolveDataPath("usage.jsonl");
+
+/**
+ * Append one provider request to the usage ledger (GROK_DATA_DIR/usage.jsonl),
+ * tagged with the request, job and API client from the log context. The
+ * cost estimated now is stored with it, so later price changes do not
+ * rewrite history. A failed write is logged and never fails the request.
+ */
+const recordUsage = async ({ kind, usage, cacheStatus, outcome }) => {
+  const { requestId, jobId, clientId } = getLogContext();
+  const entry = {
+    time: new Date().toISOString(),
+    requestId: requestId || null,
+    jobId: jobId || null,
+    clientId: clientId || null,
+    kind,
+    provider: usage.provider,
+    model: usage.model,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    estimatedCostUsd: usage.estimatedCostUsd,
+    cacheStatus: cacheStatus || null,
+    outcome,
+  };
+
+  try {
+    await fs.promises.mkdir(resolveDataPath(), { recursive: true });
+    await fs.promises.appendFile(
+      ledgerPath(),
+      `${JSON.stringify(entry)}\n`,
+      "utf8"
+    );
+  } catch (error) {
+    logger.warn("Usage ledger write failed", { error });
+  }
+};
+
+const readLedger = async function* () {
+  let stream;
+
+  try {
+    stream = fs.createReadStream(ledgerPath(), { encoding: "utf8" });
+    await new Promise((resolve, reject) => {
+      stream.once("open", resolve);
+      stream.once("error", reject);
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    throw error;
+  }
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      logger.warn("Skipping malformed usage ledger line", { error });
+    }
+  }
+};
+
+const roundCost = (costUsd) => Math.round(costUsd * 1e6) / 1e6;
+
+/**
+ * Totals from the ledger grouped by UTC day, model and API key, adding up
+ * the cost recorded with each request. `from` and `to` are inclusive
+ * YYYY-MM-DD days; `clientId` limits the report to one API key.
+ */
+const summarizeUsage = async ({ from, to, clientId } = {}) => {
+  const groups = new Map();
+
+  for await (const entry of readLedger()) {
+    const day = entry.time.slice(0, 10);
+
+    if ((from && day < from) || (to && day > to)) continue;
+    if (clientId && entry.clientId !== clientId) continue;
+
+    const key = JSON.stringify([day, entry.model, entry.clientId]);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        day,
+        model: entry.model,
+        apiKeyId: entry.clientId,
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        estimatedCostUsd: null,
+        unpriced: false,
+      });
+    }
+
+    const group = groups.get(key);
+    group.requests += 1;
+    group.promptTokens += entry.promptTokens;
+    group.completionTokens += entry.completionTokens;
+
+    if (typeof entry.estimatedCostUsd === "number") {
+      group.estimatedCostUsd = roundCost(
+        (group.estimatedCostUsd || 0) + entry.estimatedCostUsd
+      );
+    } else {
+      group.unpriced = true;
+    }
+  }
+
+  const usage = [...groups.values()]
+    .sort(
+      (a, b) =>
+        a.day.localeCompare(b.day) ||
+        a.model.localeCompare(b.model) ||
+        String(a.apiKeyId).localeCompare(String(b.apiKeyId))
+    )
+    .map(({ unpriced, ...group }) => ({
+      ...group,
+      totalTokens: group.promptTokens + group.completionTokens,
+    }));
+
+  // Requests recorded without a cost (unpriced models, an unreadable price
+  // file) count towards tokens but not cost; their models are listed in
+  // unpricedModels so the total is not mistaken for complete.
+  const unpricedModels = [...groups.values()]
+    .filter((group) => group.unpriced)
+    .map((group) => group.model);
+  const totals = usage.reduce(
+    (sum, group) => ({
+      requests: sum.requests + group.requests,
+      promptTokens: sum.promptTokens + group.promptTokens,
+      completionTokens: sum.completionTokens + group.completionTokens,
+      totalTokens: sum.totalTokens + group.totalTokens,
+      estimatedCostUsd: roundCost(
+        sum.estimatedCostUsd + (group.estimatedCostUsd || 0)
+      ),
+    }),
+    {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      estimatedCostUsd: 0,
+    }
+  );
+  return {
+    from: from || null,
+    to: to || null,
+    totals,
+    unpricedModels: [...new Set(unpricedModels)],
+    usage,
+  };
+};
+
+module.exports = {
+  recordUsage,
+  summarizeUsage,
+};
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const AppError = require("./appError");
+const { resolveDataPath } = require("./dataStore");
+const { readPositiveInteger, readLimit } = require("./numbers");
+
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+const DEFAULT_MAX_CONCURRENT_JOBS = 2;
+
+let loadedStore = { filePath: null, mtimeMs: null, clients: new Map() };
+
+const resolveKeyFilePath = () =>
+  process.env.GROK_API_KEYS_FILE || resolveDataPath("api-keys.json");
+
+/**
+ * Keys are stored as SHA-256 digests, so the key file never holds a usable
+ * credential.
+ */
+const hashApiKey = (apiKey) =>
+  crypto.createHash("sha256").update(apiKey).digest("hex");
+
+const generateApiKey = () => `grk_${crypto.randomBytes(24).toString("base64url")}`;
+
+const toClient = (entry) => ({
+  id: entry.id,
+  // Admin keys may read every client's usage
+  admin: entry.admin === true,
+  requestsPerMinute: readPositiveInteger(
+    entry.requestsPerMinute,
+    readLimit("GROK_RATE_LIMIT_PER_MINUTE", DEFAULT_REQUESTS_PER_MINUTE)
+  ),
+  maxConcurrentJobs: readPositiveInteger(
+    entry.maxConcurrentJobs,
+    readLimit("GROK_MAX_CONCURRENT_JOBS", DEFAULT_MAX_CONCURRENT_JOBS)
+  ),
+});
+
+const readKeyFile = (filePath) => {
+  const entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  if (!Array.isArray(entries)) {
+    throw new Error("expected an array of { id, keyHash } entries");
+  }
+
+  return new Map(
+    entries
+      .filter((entry) => entry && entry.id && entry.keyHash && !entry.disabled)
+      .map((entry) => [entry.keyHash.toLowerCase(), toClient(entry)])
+  );
+};
+
+/**
+ * Keyed clients from GROK_API_KEYS_FILE (default .data/api-keys.json). The
+ * file is re-read whenever it changes, so keys can be added or revoked
+ * without a restart.
+ */
+const loadClients = () => {
+  const filePath = resolveKeyFilePath();
+  let stats;
+
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    throw new AppError(
+      `No API key file at ${filePath}. Create one with npm run create-api-key or set GROK_AUTH=disabled.`,
+      "CONFIGURATION_ERROR"
+    );
+  }
+
+  if (loadedStore.filePath !== filePath || loadedStore.mtimeMs !== stats.mtimeMs) {
+    try {
+      loadedStore = { filePath, mtimeMs: stats.mtimeMs, clients: readKeyFile(filePath) };
+    } catch (error) {
+      throw new AppError(
+        `API key file ${filePath} is invalid: ${error.message}`,
+        "CONFIGURATION_ERROR"
+      );
+    }
+  }
+
+  return loadedStore.clients;
+};
+
+const findClientByKey = (apiKey) => loadClients().get(hashApiKey(apiKey));
+
+module.exports = {
+  findClientByKey,
+  generateApiKey,
+  hashApiKey,
+  resolveKeyFilePath,
+};
@@ -1,9 +1,21 @@
+const { resolveErrorType } = require('./errorTypes');
+
+/**
+ * Operational error reported to clients as a problem document. `code` names
+ * an entry in the error type registry, which supplies the HTTP status and
+ * title; `extensions` adds extra problem members such as retryAfterSeconds.
+ */
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, code, extensions = {}) {
     super(message);
 
-    this.statusCode = statusCode;
-    this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    const { status, title } = resolveErrorType(code);
+
+    this.code = code;
+    this.title = title;
+    this.statusCode = status;
+    this.status = `${status}`.startsWith('4') ? 'fail' : 'error';
+    this.extensions = extensions;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
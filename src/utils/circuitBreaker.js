@@ -0,0 +1,105 @@
+const AppError = require("./appError");
+
+class CircuitOpenError extends AppError {
+  constructor(name, retryAfterSeconds) {
+    super(
+      `The ${name} provider is unavailable after repeated failures. Retry in ${retryAfterSeconds}s.`,
+      "PROVIDER_UNAVAILABLE",
+      { retryAfterSeconds }
+    );
+  }
+}
+
+/**
+ * Circuit breaker guarding one upstream dependency. After `failureThreshold`
+ * consecutive failures the circuit opens and calls fail fast with a
+ * CircuitOpenError. Once `resetTimeoutMs` has passed a single trial call is
+ * let through (half-open): success closes the circuit, failure reopens it.
+ */
+const createCircuitBreaker = ({ name, failureThreshold, resetTimeoutMs }) => {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const refreshState = () => {
+    if (state === "open" && Date.now() - openedAt >= resetTimeoutMs) {
+      state = "half-open";
+      trialInFlight = false;
+    }
+  };
+
+  const acquire = () => {
+    refreshState();
+
+    if (state === "open" || (state === "half-open" && trialInFlight)) {
+      // While a half-open trial runs there is no time left to wait for, so
+      // callers are told to come back in a second rather than right away.
+      const remainingMs = openedAt + resetTimeoutMs - Date.now();
+      throw new CircuitOpenError(name, Math.max(1, Math.ceil(remainingMs / 1000)));
+    }
+
+    if (state === "half-open") {
+      trialInFlight = true;
+    }
+  };
+
+  const recordSuccess = () => {
+    state = "closed";
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  };
+
+  const recordFailure = () => {
+    failures += 1;
+    trialInFlight = false;
+
+    if (state === "half-open" || failures >= failureThreshold) {
+      state = "open";
+      openedAt = Date.now();
+    }
+  };
+
+  return {
+    name,
+    /**
+     * Run `operation` through the breaker. Only errors for which
+     * `isFailure(error)` holds count against the circuit; other errors
+     * mean the dependency answered and leave its state unchanged.
+     */
+    execute: async (operation, { isFailure }) => {
+      acquire();
+
+      try {
+        const result = await operation();
+        recordSuccess();
+        return result;
+      } catch (error) {
+        if (isFailure(error)) {
+          recordFailure();
+        } else {
+          trialInFlight = false;
+        }
+        throw error;
+      }
+    },
+    getState: () => {
+      refreshState();
+      return {
+        state,
+        failures,
+        openedAt: openedAt === null ? null : new Date(openedAt).toISOString(),
+        retryAt:
+          state === "open"
+            ? new Date(openedAt + resetTimeoutMs).toISOString()
+            : null,
+      };
+    },
+  };
+};
+
+module.exports = {
+  CircuitOpenError,
+  createCircuitBreaker,
+};
@@ -0,0 +1,56 @@
+const path = require("path");
+const fs = require("fs/promises");
+const crypto = require("crypto");
+const { resolveDataDirectory } = require("./projectFiles");
+
+/**
+ * Resolve a path inside the service's local data directory
+ * (GROK_DATA_DIR, defaulting to .data in the project root).
+ */
+const resolveDataPath = (...segments) =>
+  path.join(resolveDataDirectory(), ...segments);
+
+/**
+ * Write through a temp file and rename so readers never observe a
+ * partially written file.
+ */
+const writeFileAtomic = async (filePath, content) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${crypto
+    .randomBytes(6)
+    .toString("hex")}.tmp`;
+
+  try {
+    await fs.writeFile(tempPath, content, "utf8");
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+const writeJsonAtomic = (filePath, value) =>
+  writeFileAtomic(filePath, `${JSON.stringify(value, null, 2)}\n`);
+
+// Fingerprint of file contents, used to notice files changed since a job ran.
+const hashContent = (content) =>
+  crypto.createHash("sha256").update(content, "utf8").digest("hex");
+
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  resolveDataPath,
+  writeFileAtomic,
+  writeJsonAtomic,
+  readJson,
+  hashContent,
+};
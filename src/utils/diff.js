@@ -0,0 +1,316 @@
+const DEFAULT_CONTEXT_LINES = 3;
+
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+};
+
+// Past this many removed plus added lines the search stops and the differing
+// range is reported as a wholesale replacement, which keeps whole-file
+// rewrites linear in time instead of quadratic.
+const MAX_EDIT_DISTANCE = 2000;
+
+// Map every distinct line to a small integer so comparisons are cheap.
+const internLines = (oldLines, newLines) => {
+  const ids = new Map();
+  const toIds = (lines) =>
+    Int32Array.from(lines, (line) => {
+      if (!ids.has(line)) ids.set(line, ids.size);
+      return ids.get(line);
+    });
+  return [toIds(oldLines), toIds(newLines)];
+};
+
+/**
+ * Find a point on a shortest edit path between a[aStart, aEnd) and
+ * b[bStart, bEnd) by running the Myers search from both ends until they
+ * meet, in space linear in the input. Returns null when the edit distance
+ * exceeds maxDistance.
+ */
+const findSplitPoint = (a, aStart, aEnd, b, bStart, bEnd, maxDistance) => {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const forward = new Int32Array(2 * maxD + 2).fill(-1);
+  const backward = new Int32Array(2 * maxD + 2).fill(-1);
+  const delta = n - m;
+  // With an odd delta the paths can only meet during a forward step.
+  const frontMeets = delta % 2 !== 0;
+  const lastD = Math.min(maxD, Math.ceil(maxDistance / 2));
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  for (let d = 0; d < lastD; d += 1) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      let x =
+        k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x += 1;
+        y += 1;
+      }
+      forward[offset + k] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (frontMeets) {
+        const backwardIndex = offset + delta - k;
+        if (
+          backwardIndex >= 0 &&
+          backwardIndex < backward.length &&
+          backward[backwardIndex] !== -1 &&
+          x >= n - backward[backwardIndex]
+        ) {
+          return { x, y };
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      let x =
+        k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x += 1;
+        y += 1;
+      }
+      backward[offset + k] = x;
+
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!frontMeets) {
+        const forwardIndex = offset + delta - k;
+        if (
+          forwardIndex >= 0 &&
+          forwardIndex < forward.length &&
+          forward[forwardIndex] !== -1
+        ) {
+          const forwardX = forward[forwardIndex];
+          if (forwardX >= n - x) {
+            return { x: forwardX, y: forwardX - (forwardIndex - offset) };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// Append the edit script for a[aStart, aEnd) -> b[bStart, bEnd) to `ops` as
+// [type, index] pairs, index pointing into a for equal/remove and b for add.
+const collectOps = (a, aStart, aEnd, b, bStart, bEnd, maxDistance, ops) => {
+  let prefixEnd = aStart;
+  while (
+    prefixEnd < aEnd &&
+    bStart + (prefixEnd - aStart) < bEnd &&
+    a[prefixEnd] === b[bStart + (prefixEnd - aStart)]
+  ) {
+    prefixEnd += 1;
+  }
+  for (let index = aStart; index < prefixEnd; index += 1) {
+    ops.push(["equal", index]);
+  }
+  const bMiddleStart = bStart + (prefixEnd - aStart);
+
+  let suffix = 0;
+  while (
+    aEnd - suffix > prefixEnd &&
+    bEnd - suffix > bMiddleStart &&
+    a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+  const aMiddleEnd = aEnd - suffix;
+  const bMiddleEnd = bEnd - suffix;
+
+  const split =
+    prefixEnd < aMiddleEnd && bMiddleStart < bMiddleEnd
+      ? findSplitPoint(a, prefixEnd, aMiddleEnd, b, bMiddleStart, bMiddleEnd, maxDistance)
+      : null;
+
+  if (split) {
+    collectOps(a, prefixEnd, prefixEnd + split.x, b, bMiddleStart, bMiddleStart + split.y, Infinity, ops);
+    collectOps(a, prefixEnd + split.x, aMiddleEnd, b, bMiddleStart + split.y, bMiddleEnd, Infinity, ops);
+  } else {
+    for (let index = prefixEnd; index < aMiddleEnd; index += 1) {
+      ops.push(["remove", index]);
+    }
+    for (let index = bMiddleStart; index < bMiddleEnd; index += 1) {
+      ops.push(["add", index]);
+    }
+  }
+
+  for (let index = aMiddleEnd; index < aEnd; index += 1) {
+    ops.push(["equal", index]);
+  }
+};
+
+/**
+ * Shortest edit script between two line arrays (Myers, linear space).
+ * Returns ops of shape { type: "equal" | "remove" | "add", line }. Inputs
+ * further apart than MAX_EDIT_DISTANCE get a valid but not minimal script.
+ */
+const diffLines = (oldLines, newLines) => {
+  const [a, b] = internLines(oldLines, newLines);
+  const ops = [];
+  collectOps(a, 0, a.length, b, 0, b.length, MAX_EDIT_DISTANCE, ops);
+
+  return ops.map(([type, index]) => ({
+    type,
+    line: type === "add" ? newLines[index] : oldLines[index],
+  }));
+};
+
+const OP_PREFIX = { equal: " ", remove: "-", add: "+" };
+
+const buildHunks = (ops, context) => {
+  let oldIndex = 0;
+  let newIndex = 0;
+  const positioned = ops.map((op) => {
+    const entry = { ...op, oldIndex, newIndex };
+    if (op.type !== "add") oldIndex += 1;
+    if (op.type !== "remove") newIndex += 1;
+    return entry;
+  });
+
+  const changeIndexes = positioned
+    .map((op, index) => (op.type === "equal" ? -1 : index))
+    .filter((index) => index !== -1);
+
+  const ranges = [];
+  changeIndexes.forEach((index) => {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.lastChange <= context * 2 + 1) {
+      last.lastChange = index;
+    } else {
+      ranges.push({ firstChange: index, lastChange: index });
+    }
+  });
+
+  return ranges.map(({ firstChange, lastChange }) => {
+    const slice = positioned.slice(
+      Math.max(0, firstChange - context),
+      Math.min(positioned.length, lastChange + context + 1)
+    );
+    const oldLines = slice.filter((op) => op.type !== "add").length;
+    const newLines = slice.filter((op) => op.type !== "remove").length;
+    const added = slice.filter((op) => op.type === "add").length;
+    const removed = slice.filter((op) => op.type === "remove").length;
+
+    return {
+      oldStart: oldLines === 0 ? slice[0].oldIndex : slice[0].oldIndex + 1,
+      oldLines,
+      newStart: newLines === 0 ? slice[0].newIndex : slice[0].newIndex + 1,
+      newLines,
+      added,
+      removed,
+      lines: slice.map((op) => `${OP_PREFIX[op.type]}${op.line}`),
+    };
+  });
+};
+
+/**
+ * Build a unified diff between two versions of a file.
+ * Returns the patch text alongside structured hunks and line counts.
+ */
+const createUnifiedDiff = (
+  oldText,
+  newText,
+  { oldLabel = "original", newLabel = oldLabel, context = DEFAULT_CONTEXT_LINES } = {}
+) => {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = buildHunks(ops, context);
+  const added = hunks.reduce((total, hunk) => total + hunk.added, 0);
+  const removed = hunks.reduce((total, hunk) => total + hunk.removed, 0);
+
+  const patch = hunks.length
+    ? [
+        `--- a/${oldLabel}`,
+        `+++ b/${newLabel}`,
+        ...hunks.flatMap((hunk) => [
+          `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+          ...hunk.lines,
+        ]),
+        "",
+      ].join("\n")
+    : "";
+
+  return {
+    format: "unified",
+    patch,
+    hunks,
+    added,
+    removed,
+  };
+};
+
+/**
+ * Apply hunks produced by createUnifiedDiff to the given source text.
+ * Throws when the context lines no longer match the source.
+ */
+const applyHunks = (source, hunks) => {
+  const sourceLines = splitLines(source);
+  const output = [];
+  let cursor = 0;
+
+  hunks.forEach((hunk) => {
+    const start = hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    const expected = hunk.lines
+      .filter((line) => !line.startsWith("+"))
+      .map((line) => line.slice(1));
+    const actual = sourceLines.slice(start, start + expected.length);
+
+    if (start < cursor || expected.some((line, index) => line !== actual[index])) {
+      throw new Error(
+        `Hunk @@ -${hunk.oldStart},${hunk.oldLines} @@ does not apply to the current source`
+      );
+    }
+
+    output.push(...sourceLines.slice(cursor, start));
+    hunk.lines
+      .filter((line) => !line.startsWith("-"))
+      .forEach((line) => output.push(line.slice(1)));
+    cursor = start + expected.length;
+  });
+
+  output.push(...sourceLines.slice(cursor));
+  const trailingNewline = /\n$/.test(source || "");
+  return output.join("\n") + (trailingNewline && output.length ? "\n" : "");
+};
+
+/**
+ * Count the lines touched between two versions of a file. A replaced line
+ * counts once, so each hunk contributes the larger of its added/removed sizes.
+ */
+const countChangedLines = (oldText, newText) =>
+  createUnifiedDiff(oldText, newText, { context: 0 }).hunks.reduce(
+    (total, hunk) => total + Math.max(hunk.added, hunk.removed),
+    0
+  );
+
+module.exports = {
+  createUnifiedDiff,
+  countChangedLines,
+  applyHunks,
+  diffLines,
+  splitLines,
+};
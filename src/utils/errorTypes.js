@@ -0,0 +1,60 @@
+/**
+ * Every error the service reports, keyed by its machine-readable code. The
+ * code picks the HTTP status and the problem `title`; the `type` URI is
+ * derived from it (see problemTypeUri).
+ */
+const ERROR_TYPES = {
+  INVALID_REQUEST: { status: 400, title: "Invalid request" },
+  VALIDATION_FAILED: { status: 400, title: "Request validation failed" },
+  INVALID_JSON: { status: 400, title: "Malformed JSON body" },
+  UNAUTHORIZED: { status: 401, title: "Missing or invalid API key" },
+  WRITES_DISABLED: { status: 403, title: "Writing files is disabled" },
+  ROUTE_NOT_FOUND: { status: 404, title: "Route not found" },
+  JOB_NOT_FOUND: { status: 404, title: "Job not found" },
+  SNAPSHOT_NOT_FOUND: { status: 404, title: "Snapshot not found" },
+  JOB_ALREADY_FINISHED: { status: 409, title: "Job already finished" },
+  JOB_NOT_COMPLETED: { status: 409, title: "Job has not completed" },
+  SNAPSHOT_CONFLICT: { status: 409, title: "Files changed since the snapshot" },
+  JOB_CONFLICT: { status: 409, title: "Files changed since the job was submitted" },
+  PAYLOAD_TOO_LARGE: { status: 413, title: "Request body too large" },
+  CONTEXT_TOO_LONG: { status: 413, title: "Prompt exceeds the model context window" },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, title: "Unsupported request encoding" },
+  INVALID_MODEL_OUTPUT: { status: 422, title: "Model output could not be used" },
+  EDIT_BUDGET_EXCEEDED: { status: 422, title: "Model exceeded the edit budget" },
+  RATE_LIMITED: { status: 429, title: "Rate limit exceeded" },
+  TOO_MANY_JOBS: { status: 429, title: "Too many active jobs" },
+  PROVIDER_RATE_LIMITED: { status: 429, title: "Provider rate limit reached" },
+  INTERNAL_ERROR: { status: 500, title: "Internal server error" },
+  CONFIGURATION_ERROR: { status: 500, title: "Service is misconfigured" },
+  PROVIDER_AUTH_FAILED: { status: 502, title: "Provider rejected the API key" },
+  PROVIDER_ERROR: { status: 502, title: "Provider rejected the request" },
+  PROVIDER_UNAVAILABLE: { status: 503, title: "Provider unavailable" },
+  PROVIDER_TIMEOUT: { status: 504, title: "Provider timed out" },
+};
+
+const DEFAULT_TYPE_BASE = "/problems/";
+
+const resolveErrorType = (code) => {
+  const errorType = ERROR_TYPES[code];
+
+  if (!errorType) {
+    throw new Error(`Unknown error code "${code}"`);
+  }
+
+  return errorType;
+};
+
+/**
+ * Problem `type` URI for a code, e.g. /problems/provider-timeout. Set
+ * GROK_PROBLEM_TYPE_BASE to point the URIs at published documentation.
+ */
+const problemTypeUri = (code) =>
+  `${process.env.GROK_PROBLEM_TYPE_BASE || DEFAULT_TYPE_BASE}${code
+    .toLowerCase()
+    .replace(/_/g, "-")}`;
+
+module.exports = {
+  ERROR_TYPES,
+  resolveErrorType,
+  problemTypeUri,
+};
@@ -0,0 +1,128 @@
+const path = require("path");
+
+/**
+ * Languages the service can refactor, keyed by id. `fence` is the Markdown
+ * info string used in prompts and `guidance` is added to prompts for files
+ * in that language. Only `source` languages are collected by default in
+ * directory runs; JSON and Markdown must be asked for with `extensions`.
+ */
+const LANGUAGES = {
+  javascript: {
+    label: "JavaScript",
+    fence: "javascript",
+    extensions: [".js", ".cjs", ".mjs"],
+    source: true,
+    guidance:
+      "Keep the module system (CommonJS or ES modules) the file already uses.",
+  },
+  jsx: {
+    label: "JavaScript (JSX)",
+    fence: "jsx",
+    extensions: [".jsx"],
+    source: true,
+    guidance:
+      "Keep components declared the way they are and preserve JSX props and keys.",
+  },
+  typescript: {
+    label: "TypeScript",
+    fence: "typescript",
+    extensions: [".ts", ".mts", ".cts"],
+    source: true,
+    guidance: "Keep or tighten type annotations and do not introduce `any`.",
+  },
+  tsx: {
+    label: "TypeScript (TSX)",
+    fence: "tsx",
+    extensions: [".tsx"],
+    source: true,
+    guidance:
+      "Keep prop and hook types, do not introduce `any`, and preserve JSX props and keys.",
+  },
+  python: {
+    label: "Python",
+    fence: "python",
+    extensions: [".py"],
+    source: true,
+    guidance:
+      "Follow PEP 8 with 4-space indentation and keep existing type hints and docstrings.",
+  },
+  go: {
+    label: "Go",
+    fence: "go",
+    extensions: [".go"],
+    source: true,
+    guidance:
+      "Keep the package clause, return errors instead of panicking, and keep the code gofmt-formatted.",
+  },
+  json: {
+    label: "JSON",
+    fence: "json",
+    extensions: [".json"],
+    source: false,
+    guidance:
+      "Return strict JSON without comments or trailing commas, and keep every existing key unless asked to remove it.",
+  },
+  markdown: {
+    label: "Markdown",
+    fence: "markdown",
+    extensions: [".md", ".markdown"],
+    source: false,
+    guidance:
+      "Keep the heading structure, links and code samples intact; edit prose only where it helps.",
+  },
+};
+
+// Inline requests carry no extension, so they are treated as JavaScript.
+const DEFAULT_LANGUAGE_ID = "javascript";
+
+const LANGUAGES_BY_EXTENSION = new Map(
+  Object.entries(LANGUAGES).flatMap(([id, language]) =>
+    language.extensions.map((extension) => [extension, { id, ...language }])
+  )
+);
+
+const listLanguageIds = () => Object.keys(LANGUAGES);
+
+const listSupportedExtensions = () => [...LANGUAGES_BY_EXTENSION.keys()];
+
+const listSourceExtensions = () =>
+  Object.values(LANGUAGES)
+    .filter((language) => language.source)
+    .flatMap((language) => language.extensions);
+
+const resolveLanguage = (id) => (LANGUAGES[id] ? { id, ...LANGUAGES[id] } : null);
+
+/**
+ * Language of a file from its extension. Paths without an extension (such
+ * as inline requests) are JavaScript; unsupported extensions give null.
+ */
+const detectLanguage = (filePath) => {
+  const extension = path.extname(filePath || "").toLowerCase();
+
+  if (!extension) {
+    return resolveLanguage(DEFAULT_LANGUAGE_ID);
+  }
+
+  return LANGUAGES_BY_EXTENSION.get(extension) || null;
+};
+
+/**
+ * A backtick fence longer than any backtick run inside `code`, so Markdown
+ * files that contain their own code blocks can be fenced safely.
+ */
+const fenceFor = (code) => {
+  const longestRun = Math.max(
+    0,
+    ...(code.match(/`+/g) || []).map((run) => run.length)
+  );
+  return "`".repeat(Math.max(3, longestRun + 1));
+};
+
+module.exports = {
+  detectLanguage,
+  resolveLanguage,
+  listLanguageIds,
+  listSupportedExtensions,
+  listSourceExtensions,
+  fenceFor,
+};
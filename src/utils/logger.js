@@ -0,0 +1,120 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = "info";
+
+const SECRET_KEY_PATTERN =
+  /^(?:authorization|cookie|set-cookie|x-api-key|token|access_?token)$|api_?key$|secret$|password$/i;
+// Fields that hold user source code or prompts built from it.
+const SOURCE_KEYS = new Set([
+  "code",
+  "processedCode",
+  "content",
+  "prompt",
+  "instruction",
+  "feedback",
+]);
+// Credential-looking substrings inside free text (xAI, OpenAI, Anthropic and
+// our own client keys, plus bearer tokens).
+const SECRET_VALUE_PATTERN =
+  /\b(?:xai-|sk-(?:ant-)?|grk_)[A-Za-z0-9_-]{8,}|Bearer\s+[A-Za-z0-9._~+/-]+=*/g;
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Run `callback` with fields (such as requestId or jobId) that every log
+ * line written during it, including from async continuations, carries.
+ */
+const runWithLogContext = (fields, callback) =>
+  contextStorage.run({ ...getLogContext(), ...fields }, callback);
+
+const getLogContext = () => contextStorage.getStore() || {};
+
+const resolveLevel = () => {
+  const level = (process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[level] ? level : DEFAULT_LEVEL;
+};
+
+const includeSource = () => process.env.LOG_INCLUDE_SOURCE === "true";
+
+const redactText = (text) => text.replace(SECRET_VALUE_PATTERN, "[REDACTED]");
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactText(error.message || ""),
+  code: error.code,
+  statusCode: error.statusCode,
+  stack: error.stack ? redactText(error.stack) : undefined,
+});
+
+/**
+ * Copy `value` for logging: secrets are masked, source code is reduced to
+ * its length unless LOG_INCLUDE_SOURCE=true, and errors are flattened.
+ */
+const redact = (value, key, depth = 0) => {
+  if (typeof key === "string" && SECRET_KEY_PATTERN.test(key) && value) {
+    return "[REDACTED]";
+  }
+
+  if (typeof value === "string") {
+    if (SOURCE_KEYS.has(key) && !includeSource()) {
+      return `[source: ${value.length} chars]`;
+    }
+    return redactText(value);
+  }
+
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+
+  if (value && typeof value === "object") {
+    if (depth >= 5) return "[Object]";
+    if (Array.isArray(value)) {
+      return value.map((item) => redact(item, key, depth + 1));
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, child]) => [
+        childKey,
+        redact(child, childKey, depth + 1),
+      ])
+    );
+  }
+
+  return value;
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[resolveLevel()]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...getLogContext(),
+    ...redact(fields),
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+/**
+ * JSON-lines logger. LOG_LEVEL picks the minimum level (debug, info, warn,
+ * error or silent); warnings and errors go to stderr.
+ */
+const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+module.exports = {
+  logger,
+  getLogContext,
+  runWithLogContext,
+};
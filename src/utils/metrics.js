@@ -0,0 +1,92 @@
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "grok_" });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const httpRequests = new client.Counter({
+  name: "grok_http_requests_total",
+  help: "HTTP requests handled, by method, route and status code.",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "grok_http_request_duration_seconds",
+  help: "HTTP request latency, by method, route and status code.",
+  labelNames: ["method", "route", "status"],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const providerRequestDuration = new client.Histogram({
+  name: "grok_provider_request_duration_seconds",
+  help: "Latency of individual LLM provider calls, by provider, model and outcome.",
+  labelNames: ["provider", "model", "outcome"],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const providerRetries = new client.Counter({
+  name: "grok_provider_retries_total",
+  help: "Provider calls retried after a transient failure.",
+  labelNames: ["provider", "model"],
+  registers: [registry],
+});
+
+const tokensUsed = new client.Counter({
+  name: "grok_tokens_total",
+  help: "Tokens reported by the provider, by provider, model and direction (input or output).",
+  labelNames: ["provider", "model", "direction"],
+  registers: [registry],
+});
+
+const cacheLookups = new client.Counter({
+  name: "grok_cache_lookups_total",
+  help: "Response cache lookups, by status (hit, miss, bypass or disabled).",
+  labelNames: ["status"],
+  registers: [registry],
+});
+
+const resultRejections = new client.Counter({
+  name: "grok_result_rejections_total",
+  help: "Model results rejected, by check: syntax (code does not parse), format (no usable code block or boundary-marked FILE block) or editBudget.",
+  labelNames: ["check"],
+  registers: [registry],
+});
+
+const missingFileFallbacks = new client.Counter({
+  name: "grok_batch_missing_files_total",
+  help: "Files kept at their original code because a batch response left them out.",
+  labelNames: ["provider", "model"],
+  registers: [registry],
+});
+
+const discardedBlocks = new client.Counter({
+  name: "grok_batch_discarded_blocks_total",
+  help: "FILE blocks dropped from batch responses: missing the request boundary or naming a path that was not submitted.",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+const injectionWarnings = new client.Counter({
+  name: "grok_injection_warnings_total",
+  help: "Lines of submitted code flagged as possible prompt injection, by rule.",
+  labelNames: ["rule"],
+  registers: [registry],
+});
+
+module.exports = {
+  registry,
+  httpRequests,
+  httpRequestDuration,
+  providerRequestDuration,
+  providerRetries,
+  tokensUsed,
+  cacheLookups,
+  resultRejections,
+  missingFileFallbacks,
+  discardedBlocks,
+  injectionWarnings,
+};
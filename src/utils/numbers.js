@@ -0,0 +1,19 @@
+/**
+ * Parse a positive integer from a request field or environment value,
+ * returning `fallback` when it is missing or not a positive integer.
+ */
+const readPositiveInteger = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Positive integer limit from environment variable `name`, or `fallback`.
+ */
+const readLimit = (name, fallback) =>
+  readPositiveInteger(process.env[name], fallback);
+
+module.exports = {
+  readPositiveInteger,
+  readLimit,
+};
@@ -0,0 +1,85 @@
+const fs = require("fs");
+const AppError = require("./appError");
+
+/**
+ * List prices in USD per million tokens. GROK_PRICING_FILE can add models or
+ * override these with a JSON object of the same shape.
+ */
+const DEFAULT_PRICES = {
+  "grok-4": { input: 3, output: 15 },
+  "grok-code-fast-1": { input: 0.2, output: 1.5 },
+  "claude-sonnet-4-5": { input: 3, output: 15 },
+  "mock-model": { input: 0, output: 0 },
+};
+
+let loadedPrices = { filePath: null, mtimeMs: null, prices: DEFAULT_PRICES };
+
+const isPrice = (price) =>
+  price &&
+  Number.isFinite(price.input) &&
+  price.input >= 0 &&
+  Number.isFinite(price.output) &&
+  price.output >= 0;
+
+const readPriceFile = (filePath) => {
+  const overrides = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error('expected an object of { "<model>": { input, output } }');
+  }
+
+  const invalid = Object.keys(overrides).filter(
+    (model) => !isPrice(overrides[model])
+  );
+  if (invalid.length > 0) {
+    throw new Error(`invalid price for ${invalid.join(", ")}`);
+  }
+
+  return { ...DEFAULT_PRICES, ...overrides };
+};
+
+/**
+ * The price table, re-read whenever GROK_PRICING_FILE changes.
+ */
+const loadPrices = () => {
+  const filePath = process.env.GROK_PRICING_FILE;
+
+  if (!filePath) {
+    return DEFAULT_PRICES;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(filePath);
+
+    if (loadedPrices.filePath !== filePath || loadedPrices.mtimeMs !== mtimeMs) {
+      loadedPrices = { filePath, mtimeMs, prices: readPriceFile(filePath) };
+    }
+  } catch (error) {
+    throw new AppError(
+      `Pricing file ${filePath} could not be read: ${error.message}`,
+      "CONFIGURATION_ERROR"
+    );
+  }
+
+  return loadedPrices.prices;
+};
+
+/**
+ * Estimated cost in USD of the given token counts, or null when the model
+ * has no price.
+ */
+const estimateCost = (model, { promptTokens, completionTokens }) => {
+  const price = loadPrices()[model];
+
+  if (!price) {
+    return null;
+  }
+
+  const cost =
+    (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+module.exports = {
+  estimateCost,
+};
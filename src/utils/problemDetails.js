@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const AppError = require("./appError");
+const { problemTypeUri } = require("./errorTypes");
+
+// Errors raised by express.json() before a handler runs. Other client errors
+// it marks as safe to expose (an unknown Content-Encoding or charset, an
+// aborted upload) keep their message.
+const fromBodyParserError = (err) => {
+  if (err.type === "entity.parse.failed") {
+    return new AppError("Request body is not valid JSON", "INVALID_JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError(
+      `Request body exceeds the ${err.limit} byte limit`,
+      "PAYLOAD_TOO_LARGE"
+    );
+  }
+  if (err.expose === true && err.status >= 400 && err.status < 500) {
+    return new AppError(
+      err.message,
+      err.status === 415 ? "UNSUPPORTED_MEDIA_TYPE" : "INVALID_REQUEST"
+    );
+  }
+  return undefined;
+};
+
+/**
+ * Make sure the request has an id to quote in problem documents, reusing
+ * one already assigned upstream.
+ */
+const ensureRequestId = (req) => {
+  if (!req.id) {
+    req.id = crypto.randomUUID();
+  }
+  return req.id;
+};
+
+/**
+ * Build an RFC 7807 problem document for any error. Errors that are not
+ * AppErrors are reported as INTERNAL_ERROR without leaking their message;
+ * in development the stack trace is included as well.
+ */
+const buildProblemDetails = (err, req) => {
+  const appError =
+    err instanceof AppError
+      ? err
+      : fromBodyParserError(err) ||
+        new AppError("An unexpected error occurred", "INTERNAL_ERROR");
+
+  const problem = {
+    type: problemTypeUri(appError.code),
+    title: appError.title,
+    status: appError.statusCode,
+    detail: appError.message,
+    code: appError.code,
+    instance: req.originalUrl,
+    requestId: ensureRequestId(req),
+    ...appError.extensions,
+  };
+
+  if (process.env.NODE_ENV === "development") {
+    problem.stack = err.stack;
+  }
+
+  return problem;
+};
+
+module.exports = {
+  buildProblemDetails,
+  ensureRequestId,
+};
@@ -0,0 +1,332 @@
+const path = require('path');
+const fs = require('fs/promises');
+const ignore = require('ignore');
+const picomatch = require('picomatch');
+const AppError = require('./appError');
+const { listSourceExtensions } = require('./languages');
+const { readLimit } = require('./numbers');
+
+// Directory the service may read from; defaults to this repository.
+const PROJECT_ROOT = process.env.GROK_PROJECT_ROOT
+  ? path.resolve(process.env.GROK_PROJECT_ROOT)
+  : path.resolve(__dirname, '../../');
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules',
+  '.git',
+  'dist',
+  'build',
+  'coverage',
+  '.next',
+  '.turbo',
+]);
+const DEFAULT_MAX_FILE_BYTES = 100000;
+const DEFAULT_MAX_FILES = 200;
+
+/**
+ * The service's own data directory (GROK_DATA_DIR, defaulting to .data in
+ * the project root). Nothing under it is ever read for or written by a
+ * refactor.
+ */
+const resolveDataDirectory = () => {
+  const rawDir = process.env.GROK_DATA_DIR;
+  return rawDir && rawDir.trim().length > 0
+    ? path.resolve(PROJECT_ROOT, rawDir.trim())
+    : path.join(PROJECT_ROOT, '.data');
+};
+
+const isWithin = (directory, target) => {
+  const relativePath = path.relative(directory, target);
+  return (
+    relativePath !== '..' &&
+    !relativePath.startsWith(`..${path.sep}`) &&
+    !path.isAbsolute(relativePath)
+  );
+};
+
+// realpath of the deepest existing ancestor with the missing rest appended,
+// so a path that does not exist yet still resolves through symlinks.
+const resolveRealPath = async (absolutePath) => {
+  const missing = [];
+  let current = absolutePath;
+
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(current), ...missing);
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== 'ENOENT' || parent === current) throw error;
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+};
+
+const isEnvironmentFile = (filePath) => path.basename(filePath).startsWith('.env');
+
+const ensurePathWithinProject = (targetPath, label = 'Directory path') => {
+  const normalizedPath = path.resolve(PROJECT_ROOT, targetPath || '');
+  const rootWithSeparator = PROJECT_ROOT.endsWith(path.sep)
+    ? PROJECT_ROOT
+    : `${PROJECT_ROOT}${path.sep}`;
+
+  const isSameDirectory = normalizedPath === PROJECT_ROOT;
+  const isChildPath = normalizedPath.startsWith(rootWithSeparator);
+
+  if (!isSameDirectory && !isChildPath) {
+    throw new AppError(`${label} must be inside the project root`, 'INVALID_REQUEST');
+  }
+
+  return normalizedPath;
+};
+
+/**
+ * Server-side caps for directory runs: GROK_MAX_FILE_BYTES (default 100000)
+ * per file and GROK_MAX_DIRECTORY_FILES (default 200) per run. Requests may
+ * lower them but not raise them.
+ */
+const resolveSelectionLimits = () => ({
+  maxFileBytes: readLimit('GROK_MAX_FILE_BYTES', DEFAULT_MAX_FILE_BYTES),
+  maxFiles: readLimit('GROK_MAX_DIRECTORY_FILES', DEFAULT_MAX_FILES),
+});
+
+const normalizeExtension = (extension) =>
+  (extension.startsWith('.') ? extension : `.${extension}`).toLowerCase();
+
+const toPosix = (relativePath) => relativePath.split(path.sep).join('/');
+
+const buildSelection = ({
+  include,
+  exclude,
+  extensions,
+  maxFileBytes,
+  maxFiles,
+  respectGitignore,
+} = {}) => {
+  const limits = resolveSelectionLimits();
+
+  return {
+    isIncluded:
+      include && include.length > 0
+        ? picomatch(include, { dot: true })
+        : () => true,
+    isExcluded:
+      exclude && exclude.length > 0
+        ? picomatch(exclude, { dot: true })
+        : () => false,
+    extensions: new Set(
+      (extensions || listSourceExtensions()).map(normalizeExtension)
+    ),
+    maxFileBytes: maxFileBytes || limits.maxFileBytes,
+    maxFiles: maxFiles || limits.maxFiles,
+    respectGitignore: respectGitignore !== false,
+  };
+};
+
+const loadGitignore = async (directory) => {
+  try {
+    const rules = await fs.readFile(path.join(directory, '.gitignore'), 'utf8');
+    return { base: directory, matcher: ignore().add(rules) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// .gitignore files from the project root down to `directory`, so rules in
+// parent directories apply to the requested one as well.
+const loadParentGitignores = async (directory) => {
+  const relativeParts = path
+    .relative(PROJECT_ROOT, directory)
+    .split(path.sep)
+    .filter(Boolean);
+  const directories = relativeParts.map((part, index) =>
+    path.join(PROJECT_ROOT, ...relativeParts.slice(0, index + 1))
+  );
+  const loaded = await Promise.all(
+    [PROJECT_ROOT, ...directories].map(loadGitignore)
+  );
+  return loaded.filter(Boolean);
+};
+
+const isGitignored = (gitignores, absolutePath, isDirectory) =>
+  gitignores.some(({ base, matcher }) => {
+    const relativePath = toPosix(path.relative(base, absolutePath));
+    return (
+      relativePath !== '' &&
+      !relativePath.startsWith('..') &&
+      matcher.ignores(isDirectory ? `${relativePath}/` : relativePath)
+    );
+  });
+
+/**
+ * Walk `directory` and sort its entries into candidate source files and
+ * skipped paths ({ path, reason }). Include and exclude globs are matched
+ * against paths relative to `rootDirectory`.
+ */
+const collectSourceFiles = async (
+  directory,
+  { rootDirectory, selection, gitignores, isDataPath, candidates, skipped }
+) => {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  // The root directory's own .gitignore is among the parent ones already.
+  const ownGitignore =
+    selection.respectGitignore && directory !== rootDirectory
+      ? await loadGitignore(directory)
+      : null;
+  const activeGitignores = ownGitignore
+    ? [...gitignores, ownGitignore]
+    : gitignores;
+
+  await Promise.all(
+    entries.map(async (entry) => {
+      const entryPath = path.join(directory, entry.name);
+      const projectPath = toPosix(path.relative(PROJECT_ROOT, entryPath));
+      const skip = (reason, details = {}) =>
+        skipped.push({ path: projectPath, reason, ...details });
+
+      if (entry.isSymbolicLink()) {
+        skip('symlink');
+        return;
+      }
+
+      if (entry.isDirectory()) {
+        if (IGNORED_DIRECTORIES.has(entry.name)) {
+          skip('ignored-directory');
+        } else if (isDataPath(entryPath)) {
+          skip('data-directory');
+        } else if (isGitignored(activeGitignores, entryPath, true)) {
+          skip('gitignored');
+        } else {
+          await collectSourceFiles(entryPath, {
+            rootDirectory,
+            selection,
+            gitignores: activeGitignores,
+            isDataPath,
+            candidates,
+            skipped,
+          });
+        }
+        return;
+      }
+
+      if (!entry.isFile()) {
+        return;
+      }
+
+      const selectionPath = toPosix(path.relative(rootDirectory, entryPath));
+      const extension = path.extname(entry.name).toLowerCase();
+
+      if (isEnvironmentFile(entryPath)) {
+        skip('environment-file');
+      } else if (isGitignored(activeGitignores, entryPath, false)) {
+        skip('gitignored');
+      } else if (selection.isExcluded(selectionPath)) {
+        skip('excluded');
+      } else if (!selection.extensions.has(extension)) {
+        skip('extension');
+      } else if (!selection.isIncluded(selectionPath)) {
+        skip('not-included');
+      } else {
+        const { size } = await fs.stat(entryPath);
+
+        if (size > selection.maxFileBytes) {
+          skip('too-large', { bytes: size });
+        } else {
+          candidates.push({ absolutePath: entryPath, path: projectPath });
+        }
+      }
+    })
+  );
+};
+
+const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+/**
+ * Resolve a project-relative directory and read the source files under it
+ * that `options` selects: `include`/`exclude` globs, `extensions`,
+ * `maxFileBytes`, `maxFiles` (the first files by path are kept) and
+ * `respectGitignore` (default true). Resolves to { files: [{ path, code }],
+ * skippedFiles: [{ path, reason }] } with paths relative to the project root.
+ */
+const readDirectoryFiles = async (directoryPath, options) => {
+  if (!directoryPath || typeof directoryPath !== 'string') {
+    throw new AppError('directoryPath is required for batch refactoring', 'INVALID_REQUEST');
+  }
+
+  const resolvedDirectory = ensurePathWithinProject(directoryPath);
+  const stat = await fs.stat(resolvedDirectory).catch(() => null);
+
+  if (!stat || !stat.isDirectory()) {
+    throw new AppError('Provided directoryPath does not exist or is not a directory', 'INVALID_REQUEST');
+  }
+
+  // Compare real paths too, so a symlink cannot lead into the data directory.
+  const dataDirectory = resolveDataDirectory();
+  const realDataDirectory = await resolveRealPath(dataDirectory);
+  const realDirectory = await fs.realpath(resolvedDirectory);
+  const isDataPath = (absolutePath) =>
+    isWithin(dataDirectory, absolutePath) ||
+    isWithin(
+      realDataDirectory,
+      path.join(realDirectory, path.relative(resolvedDirectory, absolutePath))
+    );
+
+  if (isDataPath(resolvedDirectory)) {
+    throw new AppError(
+      'directoryPath must not be inside the service data directory',
+      'INVALID_REQUEST'
+    );
+  }
+
+  const selection = buildSelection(options);
+  const candidates = [];
+  const skippedFiles = [];
+
+  await collectSourceFiles(resolvedDirectory, {
+    rootDirectory: resolvedDirectory,
+    selection,
+    gitignores: selection.respectGitignore
+      ? await loadParentGitignores(resolvedDirectory)
+      : [],
+    isDataPath,
+    candidates,
+    skipped: skippedFiles,
+  });
+
+  candidates.sort(byPath);
+  candidates.slice(selection.maxFiles).forEach((file) => {
+    skippedFiles.push({ path: file.path, reason: 'file-limit' });
+  });
+  skippedFiles.sort(byPath);
+
+  const selected = candidates.slice(0, selection.maxFiles);
+
+  if (selected.length === 0) {
+    throw new AppError(
+      'No matching source files found in the specified directory',
+      'INVALID_REQUEST',
+      { skippedFiles }
+    );
+  }
+
+  const files = await Promise.all(
+    selected.map(async (file) => ({
+      path: file.path,
+      code: await fs.readFile(file.absolutePath, 'utf8'),
+    }))
+  );
+
+  return { files, skippedFiles };
+};
+
+module.exports = {
+  PROJECT_ROOT,
+  IGNORED_DIRECTORIES,
+  resolveDataDirectory,
+  isWithin,
+  resolveRealPath,
+  isEnvironmentFile,
+  ensurePathWithinProject,
+  resolveSelectionLimits,
+  readDirectoryFiles,
+};
@@ -0,0 +1,79 @@
+const { splitLines } = require("./diff");
+const { detectLanguage } = require("./languages");
+
+const DECLARATION_REGEX =
+  /^(export\s+)?(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([A-Za-z_$][\w$]*)/;
+const COMMONJS_EXPORT_REGEX = /^(?:module\.)?exports(?:\.([A-Za-z_$][\w$]*))?\s*=/;
+const PYTHON_DECLARATION_REGEX = /^(?:async\s+)?(?:def|class)\s+([A-Za-z_]\w*)/;
+const GO_DECLARATION_REGEX =
+  /^(?:func(?:\s*\([^)]*\))?|type|var|const)\s+([A-Za-z_]\w*)/;
+const MAX_NAMES_PER_FILE = 12;
+
+const readScriptDeclaration = (line) => {
+  const declaration = line.match(DECLARATION_REGEX);
+  if (declaration) {
+    return [declaration[2], Boolean(declaration[1])];
+  }
+
+  const commonJsExport = line.match(COMMONJS_EXPORT_REGEX);
+  return commonJsExport ? [commonJsExport[1] || "module.exports", true] : null;
+};
+
+// Read a top-level name from one line as [name, exported], or null. Python
+// names without a leading underscore and capitalised Go names count as
+// exported. JSON and Markdown files list no names.
+const DECLARATION_READERS = {
+  javascript: readScriptDeclaration,
+  jsx: readScriptDeclaration,
+  typescript: readScriptDeclaration,
+  tsx: readScriptDeclaration,
+  python: (line) => {
+    const match = line.match(PYTHON_DECLARATION_REGEX);
+    return match ? [match[1], !match[1].startsWith("_")] : null;
+  },
+  go: (line) => {
+    const match = line.match(GO_DECLARATION_REGEX);
+    return match ? [match[1], /^[A-Z]/.test(match[1])] : null;
+  },
+};
+
+const noDeclarations = () => null;
+
+const summarizeFile = ({ path: filePath, code }) => {
+  const declared = new Set();
+  const exported = new Set();
+  const language = detectLanguage(filePath);
+  const readDeclaration =
+    (language && DECLARATION_READERS[language.id]) || noDeclarations;
+
+  code.split("\n").forEach((line) => {
+    const declaration = readDeclaration(line);
+    if (declaration) {
+      (declaration[1] ? exported : declared).add(declaration[0]);
+    }
+  });
+
+  const describe = (label, names) =>
+    names.size > 0
+      ? `${label} ${[...names].slice(0, MAX_NAMES_PER_FILE).join(", ")}`
+      : null;
+
+  const details = [
+    describe("exports", exported),
+    describe("declares", declared),
+  ].filter(Boolean);
+
+  const lineCount = splitLines(code).length;
+  const size = `${lineCount} ${lineCount === 1 ? "line" : "lines"}`;
+  return `- ${filePath} (${size})${details.length ? `: ${details.join("; ")}` : ""}`;
+};
+
+/**
+ * Outline every file of a directory run (path, size and top-level names) so
+ * a batch that only sees some files still knows what the others provide.
+ */
+const buildProjectSummary = (files) => files.map(summarizeFile).join("\n");
+
+module.exports = {
+  buildProjectSummary,
+};
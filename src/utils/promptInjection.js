@@ -0,0 +1,59 @@
+/**
+ * Line patterns that suggest submitted code is trying to steer the model
+ * rather than being refactored. Matches are only reported; file contents are
+ * always sent as data between boundary markers, so a match cannot change
+ * how the response is parsed.
+ */
+const INJECTION_RULES = [
+  {
+    id: "override-instructions",
+    pattern:
+      /\b(?:ignore|disregard|forget|override)\b.{0,40}\b(?:previous|prior|above|earlier|all|system|your)\b.{0,20}\b(?:instructions?|prompts?|rules|guidelines)\b/i,
+  },
+  {
+    id: "role-change",
+    pattern:
+      /\byou are (?:now|no longer)\b|\bact as (?:an?|the) (?:ai|assistant|model|system)\b|\bnew (?:system )?instructions?\s*:/i,
+  },
+  {
+    id: "prompt-leak",
+    pattern:
+      /\b(?:reveal|print|show|repeat|output)\b.{0,30}\b(?:system prompt|your instructions|hidden instructions|api keys?)\b/i,
+  },
+  {
+    id: "chat-role-marker",
+    pattern: /^\s*(?:\/\/|#|\*|<!--)?\s*(?:system|assistant|developer)\s*:\s*\S/i,
+  },
+  {
+    // Lines that imitate the batch response format to smuggle in a file
+    id: "file-marker",
+    pattern: /^\s*(?:\/\/|#|\*|<!--)?\s*(?:FILE\b[^:\n]*:|END FILE\b)/,
+  },
+];
+
+const MAX_EXCERPT_CHARS = 120;
+
+/**
+ * Scan submitted files ([{ path, code }]) line by line and return one
+ * { path, line, rule, excerpt } entry per suspicious line.
+ */
+const scanForInjection = (files) =>
+  files.flatMap(({ path, code }) =>
+    code.split("\n").flatMap((text, index) => {
+      const rule = INJECTION_RULES.find(({ pattern }) => pattern.test(text));
+      return rule
+        ? [
+            {
+              path,
+              line: index + 1,
+              rule: rule.id,
+              excerpt: text.trim().slice(0, MAX_EXCERPT_CHARS),
+            },
+          ]
+        : [];
+    })
+  );
+
+module.exports = {
+  scanForInjection,
+};
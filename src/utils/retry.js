@@ -0,0 +1,93 @@
+const { setTimeout: delay } = require("timers/promises");
+
+const readHeader = (headers, name) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) || undefined;
+
+  const entry = Object.entries(headers).find(
+    ([key]) => key.toLowerCase() === name
+  );
+  return entry ? entry[1] : undefined;
+};
+
+/**
+ * Read how long the server asked us to wait, in milliseconds, from
+ * `retry-after-ms` or `retry-after` (seconds or an HTTP date). Resolves to
+ * undefined when neither header is usable.
+ */
+const parseRetryAfter = (headers, now = Date.now()) => {
+  const retryAfterMs = Number(readHeader(headers, "retry-after-ms"));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = readHeader(headers, "retry-after");
+  if (!retryAfter) return undefined;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+};
+
+// Full jitter: a random delay up to the exponential ceiling, so clients that
+// failed together do not retry together.
+const backoffDelay = (retry, baseDelayMs, maxDelayMs) =>
+  Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1)));
+
+/**
+ * Run `operation(attempt)`, retrying up to `retries` times while
+ * `shouldRetry(error)` holds. Waits follow exponential backoff with jitter
+ * unless `retryAfterMs(error)` names a delay; a requested delay longer than
+ * `maxDelayMs` ends the retries instead. Aborting `abortSignal` stops the
+ * wait.
+ */
+const retryWithBackoff = async (
+  operation,
+  {
+    retries,
+    baseDelayMs,
+    maxDelayMs,
+    shouldRetry,
+    retryAfterMs = () => undefined,
+    onRetry,
+    abortSignal,
+  }
+) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const canRetry =
+        attempt <= retries &&
+        !(abortSignal && abortSignal.aborted) &&
+        shouldRetry(error);
+
+      if (!canRetry) throw error;
+
+      const requestedDelay = retryAfterMs(error);
+      if (typeof requestedDelay !== "undefined" && requestedDelay > maxDelayMs) {
+        throw error;
+      }
+
+      const delayMs =
+        typeof requestedDelay === "undefined"
+          ? backoffDelay(attempt, baseDelayMs, maxDelayMs)
+          : requestedDelay;
+
+      if (onRetry) {
+        onRetry({ attempt, delayMs, error });
+      }
+
+      await delay(delayMs, undefined, abortSignal ? { signal: abortSignal } : {});
+    }
+  }
+};
+
+module.exports = {
+  parseRetryAfter,
+  retryWithBackoff,
+};
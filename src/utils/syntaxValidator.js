@@ -0,0 +1,98 @@
+const { parse } = require("@babel/parser");
+
+// Babel parser plugins per language id; other languages are not parsed.
+const BABEL_PLUGINS = {
+  javascript: ["jsx"],
+  jsx: ["jsx"],
+  // Angular and NestJS code uses TypeScript's experimental decorators.
+  typescript: ["typescript", "decorators-legacy"],
+  tsx: ["typescript", "decorators-legacy", "jsx"],
+};
+
+const parseWithBabel = (code, plugins) => {
+  parse(code, {
+    sourceType: "unambiguous",
+    allowReturnOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowAwaitOutsideFunction: true,
+    errorRecovery: false,
+    plugins,
+  });
+};
+
+const describeBabelError = (error) => ({
+  message: error.message,
+  line: error.loc ? error.loc.line : null,
+  column: error.loc ? error.loc.column + 1 : null,
+});
+
+// JSON.parse only reports a character offset, when it reports one at all.
+const describeJsonError = (error, code) => {
+  const position = error.message.match(/at position (\d+)/);
+
+  if (!position) {
+    return { message: error.message, line: null, column: null };
+  }
+
+  const before = code.slice(0, Number(position[1])).split("\n");
+  return {
+    message: error.message,
+    line: before.length,
+    column: before[before.length - 1].length + 1,
+  };
+};
+
+/**
+ * Parse code as the given language (an entry from utils/languages):
+ * JavaScript and TypeScript variants with Babel, JSON with JSON.parse.
+ * Returns { status: "valid" | "invalid" | "skipped", language, error? }.
+ */
+const validateSyntax = (code, language) => {
+  if (!language) {
+    return { status: "skipped", language: null };
+  }
+
+  try {
+    if (BABEL_PLUGINS[language.id]) {
+      parseWithBabel(code, BABEL_PLUGINS[language.id]);
+    } else if (language.id === "json") {
+      JSON.parse(code);
+    } else {
+      return { status: "skipped", language: language.id };
+    }
+
+    return { status: "valid", language: language.id };
+  } catch (error) {
+    return {
+      status: "invalid",
+      language: language.id,
+      error:
+        language.id === "json"
+          ? describeJsonError(error, code)
+          : describeBabelError(error),
+    };
+  }
+};
+
+/**
+ * Build a syntax check for results derived from `originalCode`. When the
+ * original does not parse either (Flow annotations, syntax the parser does
+ * not know), a result could never pass, so results are reported as skipped
+ * with reason "original-invalid" instead.
+ */
+const createSyntaxCheck = (originalCode, language) => {
+  if (validateSyntax(originalCode, language).status !== "invalid") {
+    return (code) => validateSyntax(code, language);
+  }
+
+  return () => ({
+    status: "skipped",
+    language: language.id,
+    reason: "original-invalid",
+  });
+};
+
+module.exports = {
+  validateSyntax,
+  createSyntaxCheck,
+};
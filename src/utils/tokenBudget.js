@@ -0,0 +1,39 @@
+// Rough heuristic shared by most BPE tokenizers: about four characters per
+// token. Good enough for sizing batches; the provider reports exact usage.
+const CHARS_PER_TOKEN = 4;
+
+const estimateTokens = (text) => Math.ceil((text || "").length / CHARS_PER_TOKEN);
+
+/**
+ * Split files into consecutive batches whose estimated code tokens fit the
+ * budget. A single file larger than the budget gets a batch of its own.
+ */
+const chunkFilesByTokenBudget = (files, maxTokens) => {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  files.forEach((file) => {
+    const tokens = estimateTokens(file.code);
+
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+
+    current.push(file);
+    currentTokens += tokens;
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+};
+
+module.exports = {
+  estimateTokens,
+  chunkFilesByTokenBudget,
+};
@@ -0,0 +1,231 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setTimeout: delay } = require("timers/promises");
+const { createTempRepo, configureEnv, startServer, postJson } =
+  require("./helpers");
+
+const repo = createTempRepo({
+  "src/math.js": "const add = (a, b) => a + b;\nmodule.exports = { add };\n",
+  "src/same.js": "module.exports = 1;\n",
+  "lib/edited.js": "module.exports = 'submitted';\n",
+});
+const dataDir = `${repo.repoDir}/.data`;
+configureEnv({ projectRoot: repo.repoDir, dataDir });
+
+fs.mkdirSync(path.join(repo.baseDir, "outside"));
+fs.symlinkSync(
+  path.join(repo.baseDir, "outside"),
+  path.join(repo.repoDir, "linked"),
+  "dir"
+);
+fs.writeFileSync(path.join(repo.repoDir, ".env"), "GROK_API_KEY=secret\n");
+
+const mockProvider = require("../src/providers/mockProvider");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  repo.cleanup();
+});
+
+beforeEach(() => {
+  mockProvider.resetMockProvider();
+});
+
+const readRepoFile = (relativePath) =>
+  fs.readFileSync(path.join(repo.repoDir, relativePath), "utf8");
+
+const apply = (body) => postJson(`${server.baseUrl}/api/grok/apply`, body);
+
+const runCompletedJob = async (directoryPath) => {
+  const created = await postJson(`${server.baseUrl}/api/grok/jobs`, {
+    directoryPath,
+  });
+  const { id } = created.body.data.job;
+
+  let job;
+  for (let poll = 0; poll < 50; poll += 1) {
+    const response = await fetch(`${server.baseUrl}/api/grok/jobs/${id}`);
+    ({ job } = (await response.json()).data);
+    if (job.status === "completed" || job.status === "failed") break;
+    await delay(20);
+  }
+  assert.equal(job.status, "completed");
+  return id;
+};
+
+const ORIGINAL_MATH =
+  "const add = (a, b) => a + b;\nmodule.exports = { add };\n";
+const UPDATED_MATH = `// sum\n${ORIGINAL_MATH}`;
+
+test("POST /apply with dryRun previews the changes without writing", async () => {
+  const { status, body } = await apply({
+    dryRun: true,
+    files: [
+      { path: "src/math.js", code: UPDATED_MATH },
+      { path: "src/same.js", code: "module.exports = 1;\n" },
+      { path: "src/new.js", code: "module.exports = 2;\n" },
+    ],
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.dryRun, true);
+  assert.equal(body.data.snapshotId, null);
+  assert.deepEqual(
+    body.data.files.map((file) => [file.path, file.status]),
+    [
+      ["src/math.js", "modified"],
+      ["src/same.js", "unchanged"],
+      ["src/new.js", "created"],
+    ]
+  );
+  assert.equal(body.data.files[0].diff.added, 1);
+  assert.match(body.data.files[0].diff.patch, /^\+\/\/ sum$/m);
+
+  assert.equal(readRepoFile("src/math.js"), ORIGINAL_MATH);
+  assert.equal(fs.existsSync(path.join(repo.repoDir, "src/new.js")), false);
+});
+
+test("POST /apply refuses paths outside the project and writes nothing", async () => {
+  const outside = await apply({
+    files: [
+      { path: "src/math.js", code: UPDATED_MATH },
+      { path: "../escape.js", code: "boom();\n" },
+    ],
+  });
+  const both = await apply({
+    files: [{ path: "src/math.js", code: UPDATED_MATH }],
+    jobId: "00000000-0000-4000-8000-000000000000",
+  });
+
+  assert.equal(outside.status, 400);
+  assert.match(outside.body.detail, /File path \.\.\/escape\.js must be inside the project root/);
+  assert.equal(readRepoFile("src/math.js"), ORIGINAL_MATH);
+  assert.equal(fs.existsSync(path.join(repo.baseDir, "escape.js")), false);
+
+  assert.equal(both.status, 400);
+  assert.match(both.body.detail, /either files or jobId/);
+});
+
+test("POST /apply refuses git, data, environment, manifest and symlinked paths", async () => {
+  const refused = {
+    "package.json": /is a package manifest or lock file/,
+    "app/package-lock.json": /is a package manifest or lock file/,
+    ".git/hooks/hook.js": /is inside an ignored directory/,
+    ".data/api-keys.json": /is inside the service data directory/,
+    ".env": /is an environment file/,
+    "src/.env.local": /is an environment file/,
+    "src/notes.txt": /must have a supported source file extension/,
+    "linked/escaped.js": /must be inside the project root/,
+  };
+
+  for (const [filePath, reason] of Object.entries(refused)) {
+    const { status, body } = await apply({
+      dryRun: true,
+      files: [{ path: filePath, code: "" }],
+    });
+
+    assert.equal(status, 400, filePath);
+    assert.match(body.detail, reason);
+    assert.doesNotMatch(JSON.stringify(body), /secret/);
+  }
+
+  const written = await apply({
+    files: [{ path: "linked/escaped.js", code: "boom();\n" }],
+  });
+
+  assert.equal(written.status, 400);
+  assert.deepEqual(fs.readdirSync(path.join(repo.baseDir, "outside")), []);
+  assert.equal(
+    fs.existsSync(path.join(repo.repoDir, ".git/hooks/hook.js")),
+    false
+  );
+});
+
+test("POST /apply is refused unless GROK_PROJECT_ROOT is set", async () => {
+  const projectRoot = process.env.GROK_PROJECT_ROOT;
+  delete process.env.GROK_PROJECT_ROOT;
+
+  try {
+    const { status, body } = await apply({
+      files: [{ path: "src/math.js", code: "boom();\n" }],
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.code, "WRITES_DISABLED");
+    assert.match(body.detail, /GROK_PROJECT_ROOT/);
+  } finally {
+    process.env.GROK_PROJECT_ROOT = projectRoot;
+  }
+
+  assert.match(
+    fs.readFileSync(path.join(repo.repoDir, "src/math.js"), "utf8"),
+    /^const add/
+  );
+});
+
+test("POST /apply writes a finished job's files and records a snapshot", async () => {
+  const id = await runCompletedJob("src");
+
+  const { status, body } = await apply({ jobId: id });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.dryRun, false);
+  assert.deepEqual(
+    body.data.files.map((file) => file.status),
+    ["modified", "modified"]
+  );
+  assert.match(readRepoFile("src/math.js"), /^\/\/ Refactored by the mock provider\n/);
+
+  const snapshot = JSON.parse(
+    fs.readFileSync(
+      path.join(dataDir, "snapshots", `${body.data.snapshotId}.json`),
+      "utf8"
+    )
+  );
+  assert.equal(snapshot.jobId, id);
+  assert.equal(snapshot.model, "mock-model");
+  assert.deepEqual(
+    snapshot.files.map((file) => [file.path, file.status]),
+    [
+      ["src/math.js", "modified"],
+      ["src/same.js", "modified"],
+    ]
+  );
+  assert.equal(snapshot.files[0].original, ORIGINAL_MATH);
+  assert.equal(snapshot.files[0].updated, readRepoFile("src/math.js"));
+  assert.deepEqual(
+    fs.readdirSync(path.join(repo.repoDir, "src")).sort(),
+    ["math.js", "same.js"]
+  );
+});
+
+test("POST /apply refuses a job whose files changed since it was submitted", async () => {
+  const id = await runCompletedJob("lib");
+  fs.writeFileSync(
+    path.join(repo.repoDir, "lib/edited.js"),
+    "module.exports = 'edited';\n"
+  );
+
+  const refused = await apply({ jobId: id });
+
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, "JOB_CONFLICT");
+  assert.deepEqual(refused.body.conflicts, ["lib/edited.js"]);
+  assert.equal(readRepoFile("lib/edited.js"), "module.exports = 'edited';\n");
+
+  const forced = await apply({ jobId: id, force: true });
+
+  assert.equal(forced.status, 200);
+  assert.match(
+    readRepoFile("lib/edited.js"),
+    /^\/\/ Refactored by the mock provider\n.*'submitted'/s
+  );
+});
@@ -0,0 +1,123 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempRepo, configureEnv, startServer } = require("./helpers");
+
+const repo = createTempRepo({ "src/math.js": "const add = (a, b) => a + b;\n" });
+configureEnv({ projectRoot: repo.repoDir, dataDir: `${repo.baseDir}/data` });
+process.env.GROK_AUTH = "required";
+process.env.GROK_API_KEYS_FILE = path.join(repo.baseDir, "api-keys.json");
+process.env.GROK_CORS_ORIGINS = "https://app.example";
+
+const mockProvider = require("../src/providers/mockProvider");
+const { hashApiKey } = require("../src/utils/apiKeyStore");
+
+const KEYS = { limited: "grk_limited", other: "grk_other" };
+
+fs.writeFileSync(
+  process.env.GROK_API_KEYS_FILE,
+  JSON.stringify([
+    { id: "limited", keyHash: hashApiKey(KEYS.limited), requestsPerMinute: 4, maxConcurrentJobs: 1 },
+    { id: "other", keyHash: hashApiKey(KEYS.other) },
+  ])
+);
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  repo.cleanup();
+});
+
+beforeEach(() => {
+  mockProvider.resetMockProvider();
+});
+
+const request = (route, { key, method = "POST", body, headers = {} } = {}) =>
+  fetch(`${server.baseUrl}/api/grok${route}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(key ? { Authorization: `Bearer ${key}` } : {}),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+test("requests without a valid API key are rejected", async () => {
+  const missing = await request("/refactor", { body: { code: "1;" } });
+  const invalid = await request("/refactor", { key: "grk_nope", body: { code: "1;" } });
+
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get("www-authenticate"), "Bearer");
+  assert.equal((await missing.json()).code, "UNAUTHORIZED");
+  assert.equal(invalid.status, 401);
+  assert.equal(mockProvider.getMockCalls().length, 0);
+});
+
+test("X-API-Key is accepted and /health stays public", async () => {
+  const response = await request("/refactor", {
+    body: { code: "const a = 1;" },
+    headers: { "X-API-Key": KEYS.other },
+  });
+  const health = await fetch(`${server.baseUrl}/health`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("ratelimit-limit"), "60");
+  assert.equal(health.status, 200);
+});
+
+test("jobs are limited per key and hidden from other keys", async () => {
+  mockProvider.scriptResponses([{ delayMs: 300 }]);
+
+  const first = await request("/jobs", { key: KEYS.limited, body: { directoryPath: "src" } });
+  const second = await request("/jobs", { key: KEYS.limited, body: { directoryPath: "src" } });
+  const { id } = (await first.json()).data.job;
+
+  assert.equal(first.status, 202);
+  assert.equal(second.status, 429);
+  assert.equal((await second.json()).code, "TOO_MANY_JOBS");
+
+  const foreign = await request(`/jobs/${id}`, { key: KEYS.other, method: "GET" });
+  assert.equal(foreign.status, 404);
+
+  const cancelled = await request(`/jobs/${id}`, { key: KEYS.limited, method: "DELETE" });
+  assert.equal(cancelled.status, 200);
+});
+
+test("each key gets its own requests-per-minute budget", async () => {
+  // The previous test used three of this key's four requests.
+  const lastAllowed = await request("/refactor", { key: KEYS.limited, body: { code: "1;" } });
+  const limited = await request("/refactor", { key: KEYS.limited, body: { code: "1;" } });
+  const otherKey = await request("/refactor", { key: KEYS.other, body: { code: "1;" } });
+
+  assert.equal(lastAllowed.status, 200);
+  assert.equal(lastAllowed.headers.get("ratelimit-remaining"), "0");
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).code, "RATE_LIMITED");
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  assert.equal(otherKey.status, 200);
+});
+
+test("CORS headers are only sent to configured origins", async () => {
+  const preflight = (origin) =>
+    fetch(`${server.baseUrl}/api/grok/refactor`, {
+      method: "OPTIONS",
+      headers: {
+        Origin: origin,
+        "Access-Control-Request-Method": "POST",
+        "Access-Control-Request-Headers": "authorization,content-type",
+      },
+    });
+
+  const allowed = await preflight("https://app.example");
+  const denied = await preflight("https://evil.example");
+
+  assert.equal(allowed.headers.get("access-control-allow-origin"), "https://app.example");
+  assert.equal(denied.headers.get("access-control-allow-origin"), null);
+});
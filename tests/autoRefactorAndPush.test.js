@@ -0,0 +1,141 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const http = require("http");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { git, createTempRepo, configureEnv, startServer } = require("./helpers");
+
+const execFileAsync = promisify(execFile);
+const SCRIPT_PATH = path.resolve(__dirname, "../scripts/autoRefactorAndPush.js");
+
+const repo = createTempRepo({
+  "app.js": "const greet = (name) => `Hello ${name}`;\n",
+  "lib/util.js": "const noop = () => {};\n",
+  "lib/other.js": "const id = (x) => x;\n",
+});
+configureEnv({ projectRoot: repo.repoDir, dataDir: `${repo.baseDir}/data` });
+
+const mockProvider = require("../src/providers/mockProvider");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  repo.cleanup();
+});
+
+beforeEach(() => {
+  mockProvider.resetMockProvider();
+});
+
+const runScript = (env) =>
+  execFileAsync(process.execPath, [SCRIPT_PATH], {
+    env: {
+      ...process.env,
+      GROK_REPO_ROOT: repo.repoDir,
+      GROK_CRON_ENDPOINT: `${server.baseUrl}/api/grok/refactor`,
+      GROK_DIRECTORY_ENDPOINT: `${server.baseUrl}/api/grok/refactor-directory`,
+      GROK_GIT_REMOTE: "origin",
+      GROK_GIT_BRANCH: "main",
+      ...env,
+    },
+  });
+
+const remoteFile = (relativePath) =>
+  git(repo.remoteDir, "show", `main:${relativePath}`);
+
+test("single-file mode applies the diff, commits and pushes", async () => {
+  await runScript({ GROK_TARGET_FILE: "app.js" });
+
+  assert.equal(
+    remoteFile("app.js"),
+    "// Refactored by the mock provider\nconst greet = (name) => `Hello ${name}`;"
+  );
+  assert.equal(
+    git(repo.remoteDir, "log", "-1", "--format=%s", "main"),
+    "chore: auto update app.js"
+  );
+});
+
+test("single-file mode skips the commit when nothing changed", async () => {
+  const source = fs.readFileSync(path.join(repo.repoDir, "app.js"), "utf8");
+  mockProvider.scriptResponses([{ text: `\`\`\`js\n${source}\`\`\`` }]);
+  const headBefore = git(repo.repoDir, "rev-parse", "HEAD");
+
+  const { stdout } = await runScript({ GROK_TARGET_FILE: "app.js" });
+
+  assert.match(stdout, /No changes detected/);
+  assert.equal(git(repo.repoDir, "rev-parse", "HEAD"), headBefore);
+});
+
+test("directory mode writes every returned file and pushes one commit", async () => {
+  await runScript({ GROK_TARGET_DIR: "lib" });
+
+  assert.match(remoteFile("lib/util.js"), /^\/\/ Refactored by the mock provider/);
+  assert.match(remoteFile("lib/other.js"), /^\/\/ Refactored by the mock provider/);
+  assert.equal(
+    git(repo.remoteDir, "log", "-1", "--format=%s", "main"),
+    "chore: auto update lib (2 files)"
+  );
+});
+
+test("directory mode only writes existing files under the requested directory", async () => {
+  // Stands in for an API that passes made-up paths through unchecked.
+  const fakeApi = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        status: "success",
+        data: {
+          files: [
+            { path: "lib/util.js", code: "const noop = () => null;\n" },
+            { path: "lib/made-up.js", code: "boom();\n" },
+            { path: "lib/../escape.js", code: "boom();\n" },
+            { path: path.join(repo.baseDir, "absolute.js"), code: "boom();\n" },
+            { path: "app.js", code: "boom();\n" },
+          ],
+          discardedBlocks: [{ path: "lib/ghost.js", reason: "not-submitted" }],
+        },
+      })
+    );
+  });
+  await new Promise((resolve) => fakeApi.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const { stderr } = await runScript({
+      GROK_TARGET_DIR: "lib",
+      GROK_DIRECTORY_ENDPOINT: `http://127.0.0.1:${fakeApi.address().port}/`,
+    });
+
+    assert.equal(remoteFile("lib/util.js"), "const noop = () => null;");
+    assert.equal(fs.existsSync(path.join(repo.repoDir, "lib/made-up.js")), false);
+    assert.equal(fs.existsSync(path.join(repo.repoDir, "escape.js")), false);
+    assert.equal(fs.existsSync(path.join(repo.baseDir, "absolute.js")), false);
+    assert.doesNotMatch(remoteFile("app.js"), /boom/);
+    assert.match(stderr, /Discarded lib\/ghost\.js from the model response \(not-submitted\)/);
+    assert.match(stderr, /Discarded lib\/made-up\.js from the API response \(not-submitted\)/);
+    assert.match(stderr, /Discarded lib\/\.\.\/escape\.js from the API response \(outside-project\)/);
+    assert.match(stderr, /absolute\.js from the API response \(absolute\)/);
+    assert.match(stderr, /Discarded app\.js from the API response \(outside-directory\)/);
+  } finally {
+    await new Promise((resolve) => fakeApi.close(resolve));
+  }
+});
+
+test("the script exits non-zero when the API fails", async () => {
+  mockProvider.scriptResponses([
+    { error: { statusCode: 401, message: "bad key" } },
+  ]);
+
+  await assert.rejects(runScript({ GROK_TARGET_FILE: "app.js" }), (error) => {
+    assert.equal(error.code, 1);
+    assert.match(error.stderr, /API request failed with status 502/);
+    return true;
+  });
+});
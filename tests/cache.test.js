@@ -0,0 +1,136 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setTimeout: delay } = require("timers/promises");
+const { createTempRepo, configureEnv, startServer, postJson } =
+  require("./helpers");
+
+const repo = createTempRepo({ "index.js": "const answer = 42;\n" });
+const dataDir = `${repo.baseDir}/data`;
+configureEnv({ projectRoot: repo.repoDir, dataDir });
+
+const mockProvider = require("../src/providers/mockProvider");
+const { setCacheBackend } = require("../src/cache");
+const { createDiskCache } = require("../src/cache/diskCache");
+const { hashContent } = require("../src/utils/dataStore");
+
+let server;
+let cacheDir;
+let cacheCount = 0;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  setCacheBackend(undefined);
+  await server.close();
+  repo.cleanup();
+});
+
+beforeEach(() => {
+  mockProvider.resetMockProvider();
+  cacheCount += 1;
+  cacheDir = path.join(dataDir, `cache-${cacheCount}`);
+});
+
+const refactor = (code) =>
+  postJson(`${server.baseUrl}/api/grok/refactor`, { code });
+
+const listEntries = (directory) =>
+  fs.existsSync(directory)
+    ? fs.readdirSync(directory).flatMap((shard) =>
+        fs.readdirSync(path.join(directory, shard))
+      )
+    : [];
+
+test("the disk cache serves repeated requests from files", async () => {
+  setCacheBackend(createDiskCache({ directory: cacheDir }));
+
+  const first = await refactor("const onDisk = 1;");
+  const second = await refactor("const onDisk = 1;");
+  const other = await refactor("const onDisk = 2;");
+
+  assert.equal(first.body.data.cache.status, "miss");
+  assert.equal(second.body.data.cache.status, "hit");
+  assert.equal(second.body.data.processedCode, first.body.data.processedCode);
+  assert.equal(other.body.data.cache.status, "miss");
+  assert.equal(mockProvider.getMockCalls().length, 2);
+  assert.equal(listEntries(cacheDir).length, 2);
+
+  // A new backend on the same directory sees the entries, as after a restart.
+  setCacheBackend(createDiskCache({ directory: cacheDir }));
+  const restarted = await refactor("const onDisk = 1;");
+
+  assert.equal(restarted.body.data.cache.status, "hit");
+});
+
+test("cached responses expire after GROK_CACHE_TTL_SECONDS", async () => {
+  setCacheBackend(createDiskCache({ directory: cacheDir }));
+  process.env.GROK_CACHE_TTL_SECONDS = "1";
+
+  try {
+    const first = await refactor("const expiring = 1;");
+    await delay(1100);
+    const second = await refactor("const expiring = 1;");
+
+    assert.equal(first.body.data.cache.status, "miss");
+    assert.equal(second.body.data.cache.status, "miss");
+    assert.equal(mockProvider.getMockCalls().length, 2);
+  } finally {
+    delete process.env.GROK_CACHE_TTL_SECONDS;
+  }
+});
+
+test("the disk cache sweep drops expired entries and enforces its cap", async () => {
+  const cache = createDiskCache({
+    directory: cacheDir,
+    maxEntries: 2,
+    sweepIntervalMs: Infinity,
+  });
+  const key = (name) => hashContent(name);
+  const writtenAgo = async (name, ageMs) => {
+    await cache.set(key(name), name, 60_000);
+    const writtenAt = new Date(Date.now() - ageMs);
+    fs.utimesSync(path.join(cacheDir, key(name).slice(0, 2), `${key(name)}.json`), writtenAt, writtenAt);
+  };
+
+  await writtenAgo("expired", 120_000);
+  await writtenAgo("oldest", 30_000);
+  await writtenAgo("older", 20_000);
+  await writtenAgo("newest", 10_000);
+
+  const result = await cache.sweep(60_000);
+
+  assert.deepEqual(result, { removed: 2, remaining: 2 });
+  assert.equal(listEntries(cacheDir).length, 2);
+  assert.equal(await cache.get(key("oldest")), undefined);
+  assert.equal(await cache.get(key("older")), "older");
+  assert.equal(await cache.get(key("newest")), "newest");
+});
+
+test("writes start a background sweep once per interval", async () => {
+  const cache = createDiskCache({
+    directory: cacheDir,
+    maxEntries: 1,
+    sweepIntervalMs: 60_000,
+  });
+
+  await cache.set(hashContent("first"), "a", 60_000);
+  await cache.sweep(60_000);
+  await cache.set(hashContent("second"), "b", 60_000);
+  assert.equal(listEntries(cacheDir).length, 2);
+
+  const sweeping = createDiskCache({
+    directory: cacheDir,
+    maxEntries: 1,
+    sweepIntervalMs: 0,
+  });
+  await delay(5);
+  await sweeping.set(hashContent("third"), "c", 60_000);
+  // Joins the sweep the write started rather than running another one.
+  await sweeping.sweep(60_000);
+
+  assert.deepEqual(listEntries(cacheDir), [`${hashContent("third")}.json`]);
+});
@@ -0,0 +1,92 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: delay } = require("timers/promises");
+const { createTempRepo, configureEnv, startServer, postJson } =
+  require("./helpers");
+
+const repo = createTempRepo({ "index.js": "const answer = 42;\n" });
+configureEnv({ projectRoot: repo.repoDir, dataDir: `${repo.baseDir}/data` });
+process.env.GROK_PROVIDER_RETRIES = "0";
+process.env.GROK_BREAKER_FAILURE_THRESHOLD = "2";
+process.env.GROK_BREAKER_RESET_SECONDS = "1";
+
+const mockProvider = require("../src/providers/mockProvider");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  repo.cleanup();
+});
+
+beforeEach(() => {
+  mockProvider.resetMockProvider();
+});
+
+const refactor = () =>
+  postJson(`${server.baseUrl}/api/grok/refactor`, { code: "const answer = 42;" });
+
+const mockHealth = async () => {
+  const response = await fetch(`${server.baseUrl}/health`);
+  const body = await response.json();
+  return { status: body.status, breaker: body.providers.mock };
+};
+
+test("the circuit opens after repeated failures and recovers after the reset timeout", async () => {
+  assert.equal((await mockHealth()).breaker.state, "closed");
+
+  mockProvider.scriptResponses([
+    { error: { statusCode: 503, message: "down" } },
+    { error: { statusCode: 503, message: "down" } },
+  ]);
+  assert.equal((await refactor()).status, 503);
+  assert.equal((await refactor()).status, 503);
+
+  const open = await mockHealth();
+  assert.equal(open.status, "degraded");
+  assert.equal(open.breaker.state, "open");
+  assert.equal(open.breaker.failures, 2);
+
+  const rejected = await refactor();
+  assert.equal(rejected.status, 503);
+  assert.equal(rejected.body.code, "PROVIDER_UNAVAILABLE");
+  assert.match(rejected.body.detail, /mock provider is unavailable/);
+  assert.equal(mockProvider.getMockCalls().length, 2);
+
+  await delay(1100);
+  assert.equal((await mockHealth()).breaker.state, "half-open");
+
+  assert.equal((await refactor()).status, 200);
+  assert.deepEqual(await mockHealth(), {
+    status: "ok",
+    breaker: { state: "closed", failures: 0, openedAt: null, retryAt: null },
+  });
+});
+
+test("calls during a half-open trial are told to retry in a second", async () => {
+  mockProvider.scriptResponses([
+    { error: { statusCode: 503, message: "down" } },
+    { error: { statusCode: 503, message: "down" } },
+  ]);
+  await refactor();
+  await refactor();
+  await delay(1100);
+
+  mockProvider.scriptResponses([{ delayMs: 300 }]);
+  const trial = refactor();
+  await delay(50);
+  const response = await fetch(`${server.baseUrl}/api/grok/refactor`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ code: "const answer = 42;" }),
+  });
+
+  assert.equal(response.status, 503);
+  assert.equal(response.headers.get("retry-after"), "1");
+  assert.equal((await response.json()).retryAfterSeconds, 1);
+  assert.equal((await trial).status, 200);
+});
@@ -0,0 +1,119 @@
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const { execFileSync } = require("child_process");
+
+const git = (cwd, ...args) =>
+  execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+/**
+ * Create a temporary git repository containing `files` (path -> content),
+ * committed on `main` and pushed to a bare `origin` remote.
+ */
+const createTempRepo = (files) => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), "grok-e2e-"));
+  const repoDir = path.join(baseDir, "repo");
+  const remoteDir = path.join(baseDir, "remote.git");
+
+  fs.mkdirSync(repoDir);
+  git(baseDir, "init", "--quiet", "--bare", remoteDir);
+  git(repoDir, "init", "--quiet", "-b", "main");
+  git(repoDir, "config", "user.name", "Test User");
+  git(repoDir, "config", "user.email", "test@example.com");
+  git(repoDir, "config", "commit.gpgsign", "false");
+
+  Object.entries(files).forEach(([relativePath, content]) => {
+    const absolutePath = path.join(repoDir, relativePath);
+    fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+    fs.writeFileSync(absolutePath, content);
+  });
+
+  git(repoDir, "add", "-A");
+  git(repoDir, "commit", "--quiet", "-m", "initial");
+  git(repoDir, "remote", "add", "origin", remoteDir);
+  git(repoDir, "push", "--quiet", "origin", "main");
+
+  return {
+    baseDir,
+    repoDir,
+    remoteDir,
+    cleanup: () => fs.rmSync(baseDir, { recursive: true, force: true }),
+  };
+};
+
+/**
+ * Point the service at the mock provider and a project root, with
+ * authentication, logging and the response cache off (so scripted responses
+ * are always consumed) and millisecond retry backoff. Must run before anything
+ * under src/ is required, since the project root is read at load.
+ */
+const configureEnv = ({ projectRoot, dataDir }) => {
+  process.env.NODE_ENV = "production";
+  process.env.LLM_PROVIDER = "mock";
+  process.env.GROK_AUTH = "disabled";
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+  process.env.GROK_CACHE_BACKEND = "none";
+  process.env.GROK_RETRY_BASE_DELAY_MS = "1";
+  process.env.GROK_PROJECT_ROOT = projectRoot;
+  process.env.GROK_DATA_DIR = dataDir;
+};
+
+const startServer = async () => {
+  const app = require("../src/app");
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+/**
+ * Scripted batch answer for mockProvider.scriptResponses: builds the text
+ * from the prompt so each [path, code] block carries the request boundary.
+ */
+const batchResponse = (files) => (prompt) => {
+  const [, boundary] = prompt.match(/^FILE (grok-\S+): /m);
+  return files
+    .map(([filePath, code]) =>
+      [
+        `FILE ${boundary}: ${filePath}`,
+        "```javascript",
+        code,
+        "```",
+        `END FILE ${boundary}`,
+      ].join("\n")
+    )
+    .join("\n\n");
+};
+
+const parseSseEvents = (text) =>
+  text
+    .split("\n\n")
+    .filter((chunk) => chunk.trim().length > 0)
+    .map((chunk) => {
+      const event = chunk.match(/^event: (.*)$/m)[1];
+      const data = JSON.parse(chunk.match(/^data: (.*)$/m)[1]);
+      return { event, data };
+    });
+
+module.exports = {
+  git,
+  createTempRepo,
+  configureEnv,
+  startServer,
+  postJson,
+  batchResponse,
+  parseSseEvents,
+};
@@ -0,0 +1,158 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createTempRepo,
+  configureEnv,
+  startServer,
+  postJson,
+  batchResponse,
+} = require("./helpers");
+
+const repo = createTempRepo({
+  "src/math.js": "const add = (a, b) => a + b;\nmodule.exports = { add };\n",
+  "src/greet.js": "const greet = (name) => `hi ${name}`;\nmodule.exports = { greet };\n",
+});
+configureEnv({ projectRoot: repo.repoDir, dataDir: `${repo.baseDir}/data` });
+
+const mockProvider = require("../src/providers/mockProvider");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  repo.cleanup();
+});
+
+beforeEach(() => {
+  mockProvider.resetMockProvider();
+});
+
+/**
+ * Read /metrics and return the value of the sample whose name and labels
+ * match `series` exactly, e.g. 'grok_cache_lookups_total{status="hit"}'.
+ */
+const readMetric = async (series) => {
+  const response = await fetch(`${server.baseUrl}/metrics`);
+  const text = await response.text();
+  const line = text.split("\n").find((entry) => entry.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+test("GET /metrics serves the Prometheus text format", async () => {
+  const response = await fetch(`${server.baseUrl}/metrics`);
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/plain;/);
+  assert.match(response.headers.get("content-type"), /version=0\.0\.4/);
+  assert.match(await response.text(), /# TYPE grok_http_requests_total counter/);
+});
+
+test("requests are counted by route pattern, provider calls timed and tokens counted", async () => {
+  const jobSeries =
+    'grok_http_requests_total{method="GET",route="/api/grok/jobs/:id",status="404"}';
+  const refactorSeries =
+    'grok_http_requests_total{method="POST",route="/api/grok/refactor",status="200"}';
+  const jobsBefore = await readMetric(jobSeries);
+  const refactorsBefore = await readMetric(refactorSeries);
+  const callsBefore = await readMetric(
+    'grok_provider_request_duration_seconds_count{provider="mock",model="mock-model",outcome="success"}'
+  );
+  const outputTokensBefore = await readMetric(
+    'grok_tokens_total{provider="mock",model="mock-model",direction="output"}'
+  );
+
+  await fetch(`${server.baseUrl}/api/grok/jobs/00000000-0000-0000-0000-000000000000`);
+  const { status } = await postJson(`${server.baseUrl}/api/grok/refactor`, {
+    code: "const answer = 42;",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(await readMetric(jobSeries), jobsBefore + 1);
+  assert.equal(await readMetric(refactorSeries), refactorsBefore + 1);
+  assert.equal(
+    await readMetric(
+      'grok_provider_request_duration_seconds_count{provider="mock",model="mock-model",outcome="success"}'
+    ),
+    callsBefore + 1
+  );
+  assert.ok(
+    (await readMetric(
+      'grok_tokens_total{provider="mock",model="mock-model",direction="output"}'
+    )) > outputTokensBefore
+  );
+  assert.ok((await readMetric('grok_cache_lookups_total{status="disabled"}')) > 0);
+});
+
+test("retries and rejected results are counted", async () => {
+  const retriesBefore = await readMetric(
+    'grok_provider_retries_total{provider="mock",model="mock-model"}'
+  );
+  const syntaxBefore = await readMetric('grok_result_rejections_total{check="syntax"}');
+
+  mockProvider.scriptResponses([
+    { error: { statusCode: 503, message: "busy" } },
+    { text: "```js\nfunction (\n```" },
+    { text: "```js\nconst answer = 43;\n```" },
+  ]);
+  const { status } = await postJson(`${server.baseUrl}/api/grok/refactor`, {
+    code: "const answer = 42;",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(
+    await readMetric('grok_provider_retries_total{provider="mock",model="mock-model"}'),
+    retriesBefore + 1
+  );
+  assert.equal(
+    await readMetric('grok_result_rejections_total{check="syntax"}'),
+    syntaxBefore + 1
+  );
+});
+
+test("files left out of a batch response are counted as fallbacks", async () => {
+  const series =
+    'grok_batch_missing_files_total{provider="mock",model="mock-model"}';
+  const before = await readMetric(series);
+
+  mockProvider.scriptResponses([
+    {
+      text: batchResponse([
+        ["src/math.js", "const add = (a, b) => a + b; // sum\nmodule.exports = { add };"],
+      ]),
+    },
+  ]);
+  const { status } = await postJson(`${server.baseUrl}/api/grok/refactor-directory`, {
+    directoryPath: "src",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(await readMetric(series), before + 1);
+});
+
+test("missing files in a rejected attempt are not counted as fallbacks", async () => {
+  const series =
+    'grok_batch_missing_files_total{provider="mock",model="mock-model"}';
+  const before = await readMetric(series);
+
+  mockProvider.scriptResponses([
+    { text: batchResponse([["src/math.js", "const add = (;"]]) },
+    {
+      text: batchResponse([
+        ["src/greet.js", "const greet = (name) => `hello ${name}`;\nmodule.exports = { greet };"],
+        ["src/math.js", "const add = (a, b) => a + b; // sum\nmodule.exports = { add };"],
+      ]),
+    },
+  ]);
+  const { status, body } = await postJson(`${server.baseUrl}/api/grok/refactor-directory`, {
+    directoryPath: "src",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(mockProvider.getMockCalls().length, 2);
+  assert.equal(body.data.missingPaths, undefined);
+  assert.equal(await readMetric(series), before);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTempRepo, configureEnv, startServer, postJson } =
+  require("./helpers");
+
+const repo = createTempRepo({ "index.js": "const answer = 42;\n" });
+configureEnv({ projectRoot: repo.repoDir, dataDir: `${repo.baseDir}/data` });
+
+const { listProviders, listDefaultModels } = require("../src/providers");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  repo.cleanup();
+});
+
+// Run `fn` with some environment variables replaced (undefined unsets them).
+const withEnv = async (overrides, fn) => {
+  const saved = Object.fromEntries(
+    Object.keys(overrides).map((name) => [name, process.env[name]])
+  );
+  const assign = (values) =>
+    Object.entries(values).forEach(([name, value]) => {
+      if (typeof value === "undefined") delete process.env[name];
+      else process.env[name] = value;
+    });
+
+  assign(overrides);
+  try {
+    return await fn();
+  } finally {
+    assign(saved);
+  }
+};
+
+const refactor = (body) =>
+  postJson(`${server.baseUrl}/api/grok/refactor`, {
+    code: "const answer = 42;",
+    ...body,
+  });
+
+test("the mock provider is only available when selected or enabled", async () => {
+  await withEnv({ LLM_PROVIDER: "xai", GROK_ENABLE_MOCK: undefined }, async () => {
+    assert.equal(listProviders().includes("mock"), false);
+    assert.equal(listDefaultModels().includes("mock-model"), false);
+
+    const { status, body } = await refactor({ provider: "mock" });
+
+    assert.equal(status, 400);
+    assert.match(body.detail, /Unknown provider "mock"/);
+  });
+
+  await withEnv({ LLM_PROVIDER: "xai", GROK_ENABLE_MOCK: "true" }, async () => {
+    const { status } = await refactor({ provider: "mock" });
+
+    assert.equal(status, 200);
+  });
+});
+
+test("the provider in a request overrides LLM_PROVIDER", async () => {
+  await withEnv(
+    { LLM_PROVIDER: "xai", GROK_API_KEY: undefined, GROK_ENABLE_MOCK: "true" },
+    async () => {
+      const fallback = await refactor({});
+      const selected = await refactor({ provider: "mock" });
+
+      assert.equal(fallback.status, 500);
+      assert.equal(fallback.body.code, "CONFIGURATION_ERROR");
+      assert.match(fallback.body.detail, /GROK_API_KEY is not set/);
+      assert.equal(selected.status, 200);
+      assert.equal(selected.body.data.usage.provider, "mock");
+    }
+  );
+});
+
+test("a provider missing its credential or endpoint is a configuration error", async () => {
+  await withEnv({ ANTHROPIC_API_KEY: undefined }, async () => {
+    const { status, body } = await refactor({ provider: "anthropic" });
+
+    assert.equal(status, 500);
+    assert.equal(body.code, "CONFIGURATION_ERROR");
+    assert.match(body.detail, /ANTHROPIC_API_KEY is not set/);
+  });
+
+  await withEnv({ OPENAI_COMPATIBLE_BASE_URL: undefined }, async () => {
+    const { status, body } = await refactor({ provider: "openai-compatible" });
+
+    assert.equal(status, 500);
+    assert.equal(body.code, "CONFIGURATION_ERROR");
+    assert.match(body.detail, /OPENAI_COMPATIBLE_BASE_URL is not set/);
+  });
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempRepo, configureEnv, startServer, postJson } =
+  require("./helpers");
+
+const ORIGINAL_MATH = "const add = (a, b) => a + b;\nmodule.exports = { add };\n";
+const ORIGINAL_NOTES = "# Notes\n";
+
+const repo = createTempRepo({
+  "src/math.js": ORIGINAL_MATH,
+  "docs/notes.md": ORIGINAL_NOTES,
+});
+configureEnv({ projectRoot: repo.repoDir, dataDir: `${repo.baseDir}/data` });
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  repo.cleanup();
+});
+
+const repoPath = (relativePath) => path.join(repo.repoDir, relativePath);
+const readRepoFile = (relativePath) =>
+  fs.readFileSync(repoPath(relativePath), "utf8");
+
+const getJson = async (route) => {
+  const response = await fetch(`${server.baseUrl}/api/grok${route}`);
+  return { status: response.status, body: await response.json() };
+};
+
+const applyFiles = async (files) => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/grok/apply`, {
+    files,
+    instruction: "Document the helpers",
+    model: "mock-model",
+  });
+  assert.equal(status, 200);
+  return body.data.snapshotId;
+};
+
+const rollback = (id, body = {}) =>
+  postJson(`${server.baseUrl}/api/grok/snapshots/${id}/rollback`, body);
+
+test("applies are listed as snapshots with their diffs", async () => {
+  const id = await applyFiles([
+    { path: "src/math.js", code: `// sum\n${ORIGINAL_MATH}` },
+    { path: "src/new.js", code: "module.exports = 2;\n" },
+  ]);
+
+  const list = await getJson("/snapshots");
+  const detail = await getJson(`/snapshots/${id}`);
+  const missing = await getJson(
+    "/snapshots/00000000-0000-4000-8000-000000000000"
+  );
+
+  assert.equal(list.status, 200);
+  const [latest] = list.body.data.snapshots;
+  assert.equal(latest.id, id);
+  assert.equal(latest.instruction, "Document the helpers");
+  assert.equal(latest.model, "mock-model");
+  assert.equal(latest.fileCount, 2);
+  assert.ok(latest.createdAt);
+  assert.equal(latest.files[0].original, undefined);
+
+  const { snapshot } = detail.body.data;
+  assert.deepEqual(
+    snapshot.files.map((file) => [file.path, file.status, file.diff.added]),
+    [
+      ["src/math.js", "modified", 1],
+      ["src/new.js", "created", 1],
+    ]
+  );
+  assert.match(snapshot.files[0].diff.patch, /^\+\/\/ sum$/m);
+
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "SNAPSHOT_NOT_FOUND");
+
+  await rollback(id);
+});
+
+test("rolling back a snapshot restores originals and deletes created files", async () => {
+  const id = await applyFiles([
+    { path: "src/math.js", code: `// again\n${ORIGINAL_MATH}` },
+    { path: "src/extra.js", code: "module.exports = 3;\n" },
+  ]);
+
+  const { status, body } = await rollback(id);
+  const repeated = await rollback(id);
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.data.files.map((file) => [file.path, file.status]),
+    [
+      ["src/math.js", "restored"],
+      ["src/extra.js", "deleted"],
+    ]
+  );
+  assert.equal(readRepoFile("src/math.js"), ORIGINAL_MATH);
+  assert.equal(fs.existsSync(repoPath("src/extra.js")), false);
+  assert.ok(body.data.snapshot.files.every((file) => file.rolledBackAt));
+
+  assert.deepEqual(
+    repeated.body.data.files.map((file) => file.status),
+    ["already-rolled-back", "already-rolled-back"]
+  );
+});
+
+test("rollback refuses files changed since the snapshot unless forced", async () => {
+  const id = await applyFiles([
+    { path: "src/math.js", code: `// one\n${ORIGINAL_MATH}` },
+    { path: "docs/notes.md", code: `${ORIGINAL_NOTES}\nMore.\n` },
+  ]);
+  fs.writeFileSync(repoPath("docs/notes.md"), "# Edited by hand\n");
+
+  const refused = await rollback(id);
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, "SNAPSHOT_CONFLICT");
+  assert.deepEqual(refused.body.conflicts, ["docs/notes.md"]);
+  assert.match(readRepoFile("src/math.js"), /^\/\/ one/);
+
+  const single = await rollback(id, { path: "src/math.js" });
+  assert.equal(single.status, 200);
+  assert.deepEqual(
+    single.body.data.files.map((file) => [file.path, file.status]),
+    [["src/math.js", "restored"]]
+  );
+  assert.equal(readRepoFile("src/math.js"), ORIGINAL_MATH);
+
+  const forced = await rollback(id, { force: true });
+  assert.deepEqual(
+    forced.body.data.files.map((file) => [file.path, file.status]),
+    [
+      ["src/math.js", "already-rolled-back"],
+      ["docs/notes.md", "restored"],
+    ]
+  );
+  assert.equal(forced.body.data.files[1].overwroteChanges, true);
+  assert.equal(readRepoFile("docs/notes.md"), ORIGINAL_NOTES);
+});
+
+test("rollback is refused unless GROK_PROJECT_ROOT is set", async () => {
+  const id = await applyFiles([
+    { path: "src/math.js", code: `// locked\n${ORIGINAL_MATH}` },
+  ]);
+  const projectRoot = process.env.GROK_PROJECT_ROOT;
+  delete process.env.GROK_PROJECT_ROOT;
+
+  try {
+    const { status, body } = await rollback(id);
+
+    assert.equal(status, 403);
+    assert.equal(body.code, "WRITES_DISABLED");
+  } finally {
+    process.env.GROK_PROJECT_ROOT = projectRoot;
+  }
+
+  assert.match(readRepoFile("src/math.js"), /^\/\/ locked/);
+  await rollback(id);
+});
@@ -0,0 +1,193 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempRepo, configureEnv, startServer } = require("./helpers");
+
+const repo = createTempRepo({
+  "src/math.js": "const add = (a, b) => a + b;\nmodule.exports = { add };\n",
+});
+configureEnv({ projectRoot: repo.repoDir, dataDir: `${repo.baseDir}/data` });
+process.env.GROK_AUTH = "required";
+process.env.GROK_API_KEYS_FILE = path.join(repo.baseDir, "api-keys.json");
+process.env.GROK_PRICING_FILE = path.join(repo.baseDir, "prices.json");
+
+const mockProvider = require("../src/providers/mockProvider");
+const { hashApiKey } = require("../src/utils/apiKeyStore");
+
+const KEYS = { alice: "grk_alice", bob: "grk_bob", ops: "grk_ops" };
+
+fs.writeFileSync(
+  process.env.GROK_API_KEYS_FILE,
+  JSON.stringify([
+    { id: "alice", keyHash: hashApiKey(KEYS.alice) },
+    { id: "bob", keyHash: hashApiKey(KEYS.bob) },
+    { id: "ops", keyHash: hashApiKey(KEYS.ops), admin: true },
+  ])
+);
+// $1 per million prompt tokens and $2 per million completion tokens
+fs.writeFileSync(
+  process.env.GROK_PRICING_FILE,
+  JSON.stringify({ "mock-model": { input: 1, output: 2 } })
+);
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  repo.cleanup();
+});
+
+beforeEach(() => {
+  mockProvider.resetMockProvider();
+});
+
+const request = async (route, { key, method = "POST", body } = {}) => {
+  const response = await fetch(`${server.baseUrl}/api/grok${route}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${key}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const usageReport = (key, query = "") =>
+  request(`/usage${query}`, { key, method: "GET" });
+
+test("responses report the tokens and estimated cost of every attempt", async () => {
+  mockProvider.scriptResponses([
+    { text: "```js\nfunction (\n```" },
+    { text: "```js\nconst answer = 43;\n```" },
+  ]);
+
+  const single = await request("/refactor", {
+    key: KEYS.alice,
+    body: { code: "const answer = 42;" },
+  });
+  const directory = await request("/refactor-directory", {
+    key: KEYS.bob,
+    body: { directoryPath: "src" },
+  });
+
+  assert.equal(single.status, 200);
+  const { usage } = single.body.data;
+  assert.equal(usage.provider, "mock");
+  assert.equal(usage.model, "mock-model");
+  assert.ok(usage.promptTokens > 0);
+  assert.ok(usage.completionTokens > 0);
+  assert.equal(usage.totalTokens, usage.promptTokens + usage.completionTokens);
+  assert.equal(
+    usage.estimatedCostUsd,
+    Math.round(usage.promptTokens + usage.completionTokens * 2) / 1e6
+  );
+
+  assert.equal(directory.status, 200);
+  assert.ok(directory.body.data.usage.promptTokens > 0);
+});
+
+test("GET /usage groups the ledger by day, model and API key", async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const own = await usageReport(KEYS.alice);
+  const all = await usageReport(KEYS.ops, `?from=${today}&to=${today}`);
+
+  assert.equal(own.status, 200);
+  assert.deepEqual(
+    own.body.data.usage.map((group) => group.apiKeyId),
+    ["alice"]
+  );
+  assert.equal(own.body.data.usage[0].day, today);
+  assert.equal(own.body.data.usage[0].model, "mock-model");
+
+  assert.deepEqual(
+    all.body.data.usage.map((group) => group.apiKeyId),
+    ["alice", "bob"]
+  );
+  const { totals } = all.body.data;
+  assert.equal(totals.requests, 2);
+  assert.equal(
+    totals.totalTokens,
+    all.body.data.usage.reduce((sum, group) => sum + group.totalTokens, 0)
+  );
+  assert.ok(totals.estimatedCostUsd > 0);
+  assert.deepEqual(all.body.data.unpricedModels, []);
+
+  const future = await usageReport(KEYS.ops, "?from=2999-01-01");
+  assert.deepEqual(future.body.data.usage, []);
+  assert.equal(future.body.data.totals.requests, 0);
+});
+
+test("GET /usage keeps the cost recorded with each request when prices change", async () => {
+  const ledger = fs
+    .readFileSync(path.join(repo.baseDir, "data", "usage.jsonl"), "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  const recorded = await usageReport(KEYS.ops);
+  const pricingFile = process.env.GROK_PRICING_FILE;
+  const originalPrices = fs.readFileSync(pricingFile, "utf8");
+  fs.writeFileSync(
+    pricingFile,
+    JSON.stringify({ "mock-model": { input: 100, output: 200 } })
+  );
+  const changedAt = new Date(Date.now() + 60_000);
+  fs.utimesSync(pricingFile, changedAt, changedAt);
+
+  try {
+    const repriced = await usageReport(KEYS.ops);
+
+    assert.ok(ledger.every((entry) => entry.estimatedCostUsd > 0));
+    assert.deepEqual(repriced.body.data.usage, recorded.body.data.usage);
+    assert.equal(
+      repriced.body.data.totals.estimatedCostUsd,
+      recorded.body.data.totals.estimatedCostUsd
+    );
+  } finally {
+    fs.writeFileSync(pricingFile, originalPrices);
+  }
+});
+
+test("GET /usage rejects malformed date ranges", async () => {
+  const malformed = await usageReport(KEYS.alice, "?from=yesterday");
+  const reversed = await usageReport(KEYS.alice, "?from=2025-02-01&to=2025-01-01");
+
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.errors[0].field, "from");
+  assert.equal(reversed.status, 400);
+  assert.match(reversed.body.detail, /from must not be after to/);
+});
+
+test("an unreadable price file leaves the cost unknown but still records usage", async () => {
+  const ledgerPath = path.join(repo.baseDir, "data", "usage.jsonl");
+  const countEntries = () =>
+    fs.readFileSync(ledgerPath, "utf8").trim().split("\n").length;
+  const before = countEntries();
+  const pricingFile = process.env.GROK_PRICING_FILE;
+  process.env.GROK_PRICING_FILE = path.join(repo.baseDir, "broken-prices.json");
+  fs.writeFileSync(process.env.GROK_PRICING_FILE, "{ not json");
+
+  try {
+    const { status, body } = await request("/refactor", {
+      key: KEYS.alice,
+      body: { code: "const answer = 42;" },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.usage.estimatedCostUsd, null);
+    assert.ok(body.data.usage.promptTokens > 0);
+    assert.equal(countEntries(), before + 1);
+
+    const report = await usageReport(KEYS.alice);
+    assert.equal(report.status, 200);
+    assert.deepEqual(report.body.data.unpricedModels, ["mock-model"]);
+    assert.ok(report.body.data.usage[0].estimatedCostUsd > 0);
+  } finally {
+    process.env.GROK_PRICING_FILE = pricingFile;
+  }
+});